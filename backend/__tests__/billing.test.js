@@ -0,0 +1,125 @@
+jest.mock('../services/notifications', () => ({
+  notify: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Tariff = require('../models/Tariff');
+const Ride = require('../models/Ride');
+const Subscription = require('../models/Subscription');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { priceRide } = require('../services/billing');
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+const ride = { startTime: new Date('2026-01-01T09:00:00Z') };
+const endTime = new Date('2026-01-01T10:00:00Z');
+
+// ₹10 to unlock, ₹2 a minute, at most ₹50 a day
+const tariff = {
+  _id: new mongoose.Types.ObjectId(),
+  currency: 'INR',
+  rateType: 'per-minute',
+  unlockFee: 10,
+  perMinuteRate: 2,
+  freeMinutes: 0,
+  dailyCap: 50,
+  rolePrices: []
+};
+
+const pass = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  includedMinutesPerRide: 30,
+  rideLimit: null,
+  ridesUsed: 0,
+  ...fields
+});
+
+const promo = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  code: 'HALF',
+  discountType: 'percentage',
+  value: 50,
+  maxDiscount: null,
+  checkEligibility: jest.fn().mockResolvedValue(null),
+  ...fields
+});
+
+const setup = ({ chargedToday = 0, subscription = null, code = null, pending = null } = {}) => {
+  jest.spyOn(Tariff, 'getActive').mockResolvedValue(tariff);
+  jest.spyOn(Ride, 'sumFaresSince').mockResolvedValue(chargedToday);
+  jest.spyOn(Subscription, 'findActiveForUser').mockResolvedValue(subscription);
+  jest.spyOn(PromoCode, 'findOne').mockResolvedValue(code);
+  jest.spyOn(PromoRedemption, 'findPendingForUser').mockResolvedValue(pending);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('priceRide', () => {
+  it('charges the tariff when there is no pass, promo or cap to apply', async () => {
+    setup();
+
+    const fare = await priceRide({ user, ride, durationMinutes: 20, endTime });
+
+    expect(fare).toMatchObject({ unlockFee: 10, timeCharge: 40, subtotal: 50, capDiscount: 0, total: 50 });
+  });
+
+  it('applies the pass, then the promo, then the daily cap', async () => {
+    const subscription = pass();
+    const code = promo();
+    setup({ chargedToday: 40, subscription, code });
+
+    const fare = await priceRide({ user, ride, durationMinutes: 60, endTime, promoCode: 'half' });
+
+    // Pass: unlock fee waived and 30 of the 60 minutes included -> ₹60
+    expect(fare).toMatchObject({ includedMinutes: 30, billableMinutes: 30, unlockFee: 0, timeCharge: 60, subtotal: 60 });
+    // Promo: half off what the pass left -> ₹30
+    expect(fare.promoDiscount).toBe(30);
+    // Cap: ₹40 already paid today leaves ₹10 of the ₹50 cap
+    expect(fare.capDiscount).toBe(20);
+    expect(fare.total).toBe(10);
+    expect(fare).toMatchObject({ subscriptionId: subscription._id, promoId: code._id, promoCode: 'HALF' });
+  });
+
+  it('takes promo free minutes off after the pass minutes', async () => {
+    setup({ subscription: pass(), code: promo({ discountType: 'free-minutes', value: 10 }) });
+
+    const fare = await priceRide({ user, ride, durationMinutes: 45, endTime, promoCode: 'FREE10' });
+
+    expect(fare).toMatchObject({ includedMinutes: 30, promoMinutes: 10, billableMinutes: 5, timeCharge: 10, total: 10 });
+  });
+
+  it('skips a pass that has no rides left', async () => {
+    setup({ subscription: pass({ rideLimit: 10, ridesUsed: 10 }) });
+
+    const fare = await priceRide({ user, ride, durationMinutes: 10, endTime });
+
+    expect(fare).toMatchObject({ includedMinutes: 0, unlockFee: 10, total: 30, subscriptionId: null });
+  });
+
+  it('uses a code given with the ride over one applied to the account', async () => {
+    setup({ code: promo() });
+
+    await priceRide({ user, ride, durationMinutes: 10, endTime, promoCode: 'HALF' });
+
+    expect(PromoRedemption.findPendingForUser).not.toHaveBeenCalled();
+  });
+
+  it('falls back to a promo applied to the account earlier', async () => {
+    const code = promo();
+    const pending = { _id: new mongoose.Types.ObjectId(), promoId: code };
+    setup({ pending });
+
+    const fare = await priceRide({ user, ride, durationMinutes: 10, endTime });
+
+    expect(fare).toMatchObject({ subtotal: 30, promoDiscount: 15, total: 15, redemptionId: pending._id });
+  });
+
+  it('refuses a code the rider cannot use', async () => {
+    setup({ code: promo({ checkEligibility: jest.fn().mockResolvedValue('Promo code has expired') }) });
+
+    await expect(priceRide({ user, ride, durationMinutes: 10, endTime, promoCode: 'HALF' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Promo code has expired' });
+  });
+});
@@ -0,0 +1,185 @@
+jest.mock('../services/notifications', () => ({
+  notifyAdmins: jest.fn()
+}));
+
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+const { notifyAdmins } = require('../services/notifications');
+const {
+  checkLogin,
+  recordFailure,
+  recordSuccess
+} = require('../services/loginProtection');
+
+const MINUTE_MS = 60 * 1000;
+const EMAIL = 'rider@example.com';
+
+// In-memory stand-in for the throttle collection, covering the queries the
+// service makes
+let throttles;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if ('$in' in condition) return condition.$in.includes(value);
+    if ('$lt' in condition) return value !== undefined && value < condition.$lt;
+    if ('$gte' in condition) return value !== undefined && value >= condition.$gte;
+  }
+  return value === condition;
+});
+
+const apply = (doc, update) => {
+  Object.entries(update).forEach(([field, value]) => {
+    if (field === '$inc') {
+      Object.entries(value).forEach(([key, by]) => { doc[key] = (doc[key] || 0) + by; });
+    } else if (field === '$set') {
+      Object.assign(doc, value);
+    } else {
+      doc[field] = value;
+    }
+  });
+  return doc;
+};
+
+beforeEach(() => {
+  throttles = [];
+  jest.spyOn(LoginThrottle, 'find').mockImplementation(async (filter) => throttles.filter(doc => matches(doc, filter)));
+  jest.spyOn(LoginThrottle, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = throttles.find(candidate => matches(candidate, filter));
+    if (doc) apply(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    let doc = throttles.find(candidate => matches(candidate, filter));
+    if (!doc) {
+      doc = { key: filter.key, failures: 0, lockCount: 0, nextAttemptAt: null, lockedUntil: null };
+      throttles.push(doc);
+    }
+    return { ...apply(doc, update) };
+  });
+  jest.spyOn(LoginThrottle, 'deleteOne').mockImplementation(async (filter) => {
+    const before = throttles.length;
+    throttles = throttles.filter(doc => !matches(doc, filter));
+    return { deletedCount: before - throttles.length };
+  });
+  jest.spyOn(SecurityEvent, 'create').mockResolvedValue({});
+  jest.spyOn(SecurityEvent, 'distinct').mockResolvedValue([]);
+  jest.spyOn(SecurityEvent, 'exists').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  notifyAdmins.mockClear();
+});
+
+// Fail `count` logins one second apart, starting at `start`; returns the time
+// of the last failure
+const fail = async (count, start, { email = EMAIL, ip = '10.0.0.1' } = {}) => {
+  let now = start;
+  for (let i = 0; i < count; i++) {
+    now = new Date(start.getTime() + i * 1000);
+    await recordFailure({ email, ip, reason: 'wrong-password', now });
+  }
+  return now;
+};
+
+const lockedEvents = () => SecurityEvent.create.mock.calls
+  .filter(([event]) => event.type === 'account-locked')
+  .map(([event]) => event);
+
+describe('login delays', () => {
+  it('lets the first two failures retry straight away', async () => {
+    const last = await fail(2, new Date('2026-01-01T10:00:00Z'));
+
+    await expect(checkLogin({ email: EMAIL, ip: '10.0.0.1', now: last })).resolves.toBeUndefined();
+  });
+
+  it('doubles the wait after each further failure', async () => {
+    const start = new Date('2026-01-01T10:00:00Z');
+
+    let last = await fail(3, start);
+    await expect(checkLogin({ email: EMAIL, ip: '10.0.0.1', now: last }))
+      .rejects.toMatchObject({ statusCode: 429, retryAfter: 1 });
+
+    last = await fail(1, new Date(last.getTime() + 1000));
+    await expect(checkLogin({ email: EMAIL, ip: '10.0.0.1', now: last }))
+      .rejects.toMatchObject({ statusCode: 429, retryAfter: 2 });
+  });
+});
+
+describe('account lockout escalation', () => {
+  it('locks the account for 15 minutes on the fifth failure', async () => {
+    const last = await fail(5, new Date('2026-01-01T10:00:00Z'));
+
+    await expect(checkLogin({ email: EMAIL, ip: '10.0.0.1', now: last }))
+      .rejects.toMatchObject({ statusCode: 429, retryAfter: 15 * 60 });
+    expect(lockedEvents()).toHaveLength(1);
+  });
+
+  it('doubles the lock each time the account is locked again', async () => {
+    let start = new Date('2026-01-01T10:00:00Z');
+    const locks = [];
+
+    for (let round = 0; round < 3; round++) {
+      const last = await fail(5, start);
+      const error = await checkLogin({ email: EMAIL, ip: '10.0.0.1', now: last }).catch(e => e);
+      locks.push(error.retryAfter / 60);
+      // Wait out the lock before trying again
+      start = new Date(last.getTime() + error.retryAfter * 1000);
+    }
+
+    expect(locks).toEqual([15, 30, 60]);
+    expect(lockedEvents()).toHaveLength(3);
+  });
+
+  it('never locks for longer than a day', async () => {
+    throttles.push({ key: `account:${EMAIL}`, failures: 0, lockCount: 10, nextAttemptAt: null, lockedUntil: null });
+
+    const last = await fail(5, new Date('2026-01-01T10:00:00Z'));
+
+    await expect(checkLogin({ email: EMAIL, ip: '10.0.0.1', now: last }))
+      .rejects.toMatchObject({ retryAfter: 24 * 60 * 60 });
+  });
+
+  it('starts the count again once failures are further apart than the window', async () => {
+    const start = new Date('2026-01-01T10:00:00Z');
+    await fail(4, start);
+
+    const later = new Date(start.getTime() + 16 * MINUTE_MS);
+    await fail(1, later);
+
+    await expect(checkLogin({ email: EMAIL, ip: '10.0.0.1', now: new Date(later.getTime() + 1000) }))
+      .resolves.toBeUndefined();
+    expect(lockedEvents()).toHaveLength(0);
+  });
+
+  it('clears the account count on success but keeps the IP count', async () => {
+    await fail(4, new Date('2026-01-01T10:00:00Z'));
+
+    await recordSuccess({ email: EMAIL });
+
+    expect(throttles.map(doc => doc.key)).toEqual(['ip:10.0.0.1']);
+    expect(throttles[0].failures).toBe(4);
+  });
+});
+
+describe('IP lockout', () => {
+  it('locks an IP that fails on many accounts without locking any of them', async () => {
+    const start = new Date('2026-01-01T10:00:00Z');
+    for (let i = 0; i < 50; i++) {
+      await recordFailure({
+        email: `rider${i}@example.com`,
+        ip: '10.0.0.9',
+        reason: 'unknown-account',
+        now: new Date(start.getTime() + i * 1000)
+      });
+    }
+
+    const now = new Date(start.getTime() + 50 * 1000);
+    await expect(checkLogin({ email: 'someone@example.com', ip: '10.0.0.9', now }))
+      .rejects.toMatchObject({ statusCode: 429, retryAfter: 15 * 60 - 1 });
+    await expect(checkLogin({ email: 'rider0@example.com', ip: '10.0.0.10', now }))
+      .resolves.toBeUndefined();
+    expect(lockedEvents()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const User = require('../models/User');
+const consoleTransport = require('../services/notifications/consoleTransport');
+const { notify } = require('../services/notifications');
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'rider@example.com',
+  isActive: true,
+  notificationPreferences: {}
+};
+
+const env = { ...process.env };
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+  jest.spyOn(Notification, 'create').mockImplementation(async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+  jest.spyOn(NotificationDelivery, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(NotificationDelivery, 'findOneAndUpdate').mockResolvedValue(null);
+  jest.spyOn(NotificationDelivery, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  // Let the queue run notify started finish against the mocks
+  await new Promise(resolve => setImmediate(resolve));
+  process.env = { ...env };
+  jest.restoreAllMocks();
+});
+
+describe('notification transports', () => {
+  it('sends nothing on a channel with no transport configured', async () => {
+    delete process.env.NOTIFY_EMAIL_TRANSPORT;
+
+    const notification = await notify(user._id, 'password-changed');
+
+    expect(notification).not.toBeNull();
+    expect(NotificationDelivery.insertMany).not.toHaveBeenCalled();
+  });
+
+  it('queues on the console transport when it is chosen explicitly', async () => {
+    process.env.NOTIFY_EMAIL_TRANSPORT = 'console';
+
+    await notify(user._id, 'password-changed');
+
+    expect(NotificationDelivery.insertMany).toHaveBeenCalledWith([
+      expect.objectContaining({ channel: 'email', transport: 'console', to: user.email })
+    ]);
+  });
+
+  it('never queues on the console transport in production', async () => {
+    process.env.NOTIFY_EMAIL_TRANSPORT = 'console';
+    process.env.NODE_ENV = 'production';
+
+    await notify(user._id, 'password-changed');
+
+    expect(NotificationDelivery.insertMany).not.toHaveBeenCalled();
+  });
+
+  it('gives up on a console delivery sent in production', async () => {
+    process.env.NODE_ENV = 'production';
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await expect(consoleTransport.send({ channel: 'email', to: user.email, text: 'token' }))
+      .rejects.toMatchObject({ permanent: true });
+    expect(log).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,194 @@
+process.env.ENABLE_MOCK_PAYMENTS = 'true';
+process.env.MOCK_PAYMENT_SECRET = 'test-payment-secret';
+process.env.PAYMENT_PROVIDER = 'mock';
+
+const mongoose = require('mongoose');
+const PaymentOrder = require('../models/PaymentOrder');
+const Wallet = require('../models/Wallet');
+const { getProvider, processWebhookEvent } = require('../services/payments');
+
+const newOrder = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  provider: 'mock',
+  providerOrderId: 'order_test',
+  amount: 200,
+  status: 'created',
+  processedEvents: [],
+  ...fields
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('mock provider webhook signatures', () => {
+  const provider = getProvider('mock');
+
+  it('accepts a callback signed with the configured secret', () => {
+    const callback = provider.simulateCheckout('order_test', { amount: 200 });
+
+    expect(provider.verifyWebhookSignature(callback.rawBody, callback.headers)).toBe(true);
+  });
+
+  it('rejects a callback whose body was changed after signing', () => {
+    const callback = provider.simulateCheckout('order_test', { amount: 200 });
+    const tampered = callback.rawBody.replace('"amount":200', '"amount":2000');
+
+    expect(provider.verifyWebhookSignature(tampered, callback.headers)).toBe(false);
+  });
+
+  it('rejects a callback without a signature', () => {
+    const callback = provider.simulateCheckout('order_test', { amount: 200 });
+
+    expect(provider.verifyWebhookSignature(callback.rawBody, {})).toBe(false);
+  });
+
+  it('rejects a callback signed with another secret', () => {
+    const callback = provider.simulateCheckout('order_test', { amount: 200 });
+    const signature = require('crypto')
+      .createHmac('sha256', 'mock-payment-secret')
+      .update(callback.rawBody)
+      .digest('hex');
+
+    expect(provider.verifyWebhookSignature(callback.rawBody, { 'x-mock-signature': signature })).toBe(false);
+  });
+});
+
+describe('mock provider registration', () => {
+  const loadPayments = (env) => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+      let payments;
+      jest.isolateModules(() => {
+        payments = require('../services/payments');
+      });
+      return payments;
+    } finally {
+      process.env = saved;
+    }
+  };
+
+  it('is not available unless ENABLE_MOCK_PAYMENTS is true', () => {
+    const payments = loadPayments({ ENABLE_MOCK_PAYMENTS: 'false' });
+
+    expect(() => payments.getProvider('mock')).toThrow("payment provider 'mock' is not configured");
+  });
+
+  it('is not available without MOCK_PAYMENT_SECRET', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const payments = loadPayments({ ENABLE_MOCK_PAYMENTS: 'true', MOCK_PAYMENT_SECRET: '' });
+
+    expect(payments.MOCK_PAYMENTS_ENABLED).toBe(false);
+    expect(() => payments.getProvider('mock')).toThrow(expect.objectContaining({ statusCode: 503 }));
+  });
+
+  it('is never available in production', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const payments = loadPayments({ ENABLE_MOCK_PAYMENTS: 'true', NODE_ENV: 'production' });
+
+    expect(payments.MOCK_PAYMENTS_ENABLED).toBe(false);
+    expect(() => payments.getProvider('mock')).toThrow(expect.objectContaining({ statusCode: 503 }));
+  });
+
+  it('has no default provider, so payments are unavailable rather than fatal', () => {
+    const payments = loadPayments({});
+    const provider = process.env.PAYMENT_PROVIDER;
+    delete process.env.PAYMENT_PROVIDER;
+    try {
+      expect(payments.isPaymentConfigured()).toBe(false);
+      expect(() => payments.getProvider()).toThrow(expect.objectContaining({ statusCode: 503 }));
+    } finally {
+      process.env.PAYMENT_PROVIDER = provider;
+    }
+  });
+});
+
+describe('processWebhookEvent', () => {
+  const provider = getProvider('mock');
+  const paidEvent = (order, fields = {}) => ({
+    eventId: 'evt_1',
+    type: 'payment.authorized',
+    providerOrderId: order.providerOrderId,
+    providerPaymentId: 'pay_1',
+    amount: order.amount,
+    ...fields
+  });
+
+  it('credits the wallet once with the order as the ledger reference', async () => {
+    const order = newOrder();
+    const paid = { ...order, status: 'paid' };
+    jest.spyOn(PaymentOrder, 'findOne').mockResolvedValue(order);
+    jest.spyOn(PaymentOrder, 'findOneAndUpdate').mockResolvedValue(paid);
+    const applyTransaction = jest.spyOn(Wallet, 'applyTransaction').mockResolvedValue({ _id: 'txn_1' });
+
+    const result = await processWebhookEvent(provider, paidEvent(order));
+
+    expect(result).toEqual({ order: paid, duplicate: false });
+    expect(applyTransaction).toHaveBeenCalledTimes(1);
+    expect(applyTransaction).toHaveBeenCalledWith(order.userId, expect.objectContaining({
+      type: 'topup',
+      amount: 200,
+      reference: `payment:${order._id}`
+    }));
+    expect(PaymentOrder.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: order._id, status: { $ne: 'paid' } },
+      expect.objectContaining({ status: 'paid', $addToSet: { processedEvents: 'evt_1' } }),
+      { new: true }
+    );
+  });
+
+  it('acknowledges a replayed event without crediting again', async () => {
+    const order = newOrder({ processedEvents: ['evt_1'] });
+    jest.spyOn(PaymentOrder, 'findOne').mockResolvedValue(order);
+    const applyTransaction = jest.spyOn(Wallet, 'applyTransaction');
+
+    const result = await processWebhookEvent(provider, paidEvent(order));
+
+    expect(result).toEqual({ order, duplicate: true });
+    expect(applyTransaction).not.toHaveBeenCalled();
+  });
+
+  it('acknowledges a second event for an order that is already paid', async () => {
+    const order = newOrder({ status: 'paid', processedEvents: ['evt_1'] });
+    jest.spyOn(PaymentOrder, 'findOne').mockResolvedValue(order);
+    const applyTransaction = jest.spyOn(Wallet, 'applyTransaction');
+
+    const result = await processWebhookEvent(provider, paidEvent(order, { eventId: 'evt_2' }));
+
+    expect(result.duplicate).toBe(true);
+    expect(applyTransaction).not.toHaveBeenCalled();
+  });
+
+  it('reports a duplicate when a concurrent callback settled the order first', async () => {
+    const order = newOrder();
+    const settled = { ...order, status: 'paid' };
+    jest.spyOn(PaymentOrder, 'findOne').mockResolvedValue(order);
+    jest.spyOn(PaymentOrder, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(PaymentOrder, 'findById').mockResolvedValue(settled);
+    // The ledger reference makes the second credit return the first transaction
+    jest.spyOn(Wallet, 'applyTransaction').mockResolvedValue({ _id: 'txn_1' });
+
+    const result = await processWebhookEvent(provider, paidEvent(order, { eventId: 'evt_2' }));
+
+    expect(result).toEqual({ order: settled, duplicate: true });
+  });
+
+  it('refuses a payment for a different amount than the order', async () => {
+    const order = newOrder();
+    jest.spyOn(PaymentOrder, 'findOne').mockResolvedValue(order);
+    const applyTransaction = jest.spyOn(Wallet, 'applyTransaction');
+
+    await expect(processWebhookEvent(provider, paidEvent(order, { amount: 2000 })))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(applyTransaction).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for an order it does not know', async () => {
+    jest.spyOn(PaymentOrder, 'findOne').mockResolvedValue(null);
+
+    await expect(processWebhookEvent(provider, paidEvent(newOrder())))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const PromoRedemption = require('../models/PromoRedemption');
+
+const userId = new mongoose.Types.ObjectId();
+const promo = (fields = {}) => ({ _id: new mongoose.Types.ObjectId(), perUserLimit: 1, ...fields });
+const duplicateKey = () => Object.assign(new Error('E11000'), { code: 11000 });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PromoRedemption.claimSlot', () => {
+  it('creates the redemption in the first free slot', async () => {
+    jest.spyOn(PromoRedemption, 'countDocuments').mockResolvedValue(0);
+    const create = jest.spyOn(PromoRedemption, 'create').mockImplementation(async (fields) => fields);
+    const code = promo();
+
+    const redemption = await PromoRedemption.claimSlot(code, userId, { appliedTo: 'account' });
+
+    expect(redemption).toEqual({ appliedTo: 'account', promoId: code._id, userId, slot: 1 });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses when a concurrent request took the only slot', async () => {
+    jest.spyOn(PromoRedemption, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(PromoRedemption, 'create').mockRejectedValue(duplicateKey());
+
+    await expect(PromoRedemption.claimSlot(promo(), userId)).resolves.toBeNull();
+  });
+
+  it('moves on to the next slot when the code allows more uses', async () => {
+    jest.spyOn(PromoRedemption, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(PromoRedemption, 'create')
+      .mockRejectedValueOnce(duplicateKey())
+      .mockImplementation(async (fields) => fields);
+
+    const redemption = await PromoRedemption.claimSlot(promo({ perUserLimit: 2 }), userId);
+
+    expect(redemption.slot).toBe(2);
+  });
+
+  it('counts redemptions made before slots existed against the limit', async () => {
+    jest.spyOn(PromoRedemption, 'countDocuments').mockResolvedValue(1);
+    const create = jest.spyOn(PromoRedemption, 'create');
+
+    await expect(PromoRedemption.claimSlot(promo(), userId)).resolves.toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+process.env.JWT_SECRET = 'test-jwt-secret-that-is-long-enough-for-hs256';
+
+jest.mock('../services/notifications', () => ({
+  notify: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { notify } = require('../services/notifications');
+const { hashToken } = require('../utils/tokens');
+const { refreshSession } = require('../services/sessions');
+
+const req = { get: () => 'jest', ip: '127.0.0.1' };
+
+const newSession = (fields = {}) => new Session({
+  userId: new mongoose.Types.ObjectId(),
+  tokenHash: hashToken('current-secret'),
+  previousTokenHashes: [hashToken('older-secret')],
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  ...fields
+});
+
+// Session.findById(...).select(...) resolves to `session`
+const findSession = (session) => jest.spyOn(Session, 'findById').mockReturnValue({
+  select: jest.fn().mockResolvedValue(session)
+});
+
+const findUser = (user) => jest.spyOn(User, 'findById').mockReturnValue({
+  select: jest.fn().mockResolvedValue(user)
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  notify.mockClear();
+});
+
+describe('refreshSession rotation', () => {
+  it('swaps the refresh token for a new one and remembers the old hash', async () => {
+    const session = newSession();
+    findSession(session);
+    findUser({ isActive: true });
+    const rotate = jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => (
+      newSession({ _id: session._id, userId: session.userId, tokenHash: update.tokenHash })
+    ));
+
+    const tokens = await refreshSession(`${session._id}.current-secret`, req);
+
+    const [sessionId, secret] = tokens.refreshToken.split('.');
+    expect(sessionId).toBe(String(session._id));
+    expect(secret).not.toBe('current-secret');
+
+    const [filter, update] = rotate.mock.calls[0];
+    expect(filter).toEqual({ _id: session._id, tokenHash: hashToken('current-secret'), revokedAt: null });
+    expect(update.tokenHash).toBe(hashToken(secret));
+    expect(update.$push.previousTokenHashes.$each).toEqual([hashToken('current-secret')]);
+
+    const decoded = jwt.verify(tokens.token, process.env.JWT_SECRET);
+    expect(decoded).toMatchObject({ id: String(session.userId), sid: String(session._id) });
+  });
+
+  it('rejects the token when another request rotated it first', async () => {
+    const session = newSession();
+    findSession(session);
+    findUser({ isActive: true });
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(refreshSession(`${session._id}.current-secret`, req))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Refresh token was already used' });
+  });
+
+  it('rejects a malformed token without looking up a session', async () => {
+    const findById = jest.spyOn(Session, 'findById');
+
+    await expect(refreshSession('not-a-token', req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  it('rejects an expired session', async () => {
+    const session = newSession({ expiresAt: new Date(Date.now() - 1000) });
+    findSession(session);
+
+    await expect(refreshSession(`${session._id}.current-secret`, req))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Session has ended, please log in again' });
+  });
+});
+
+describe('refreshSession reuse detection', () => {
+  it('signs the session out and warns the user when an old token comes back', async () => {
+    const session = newSession();
+    findSession(session);
+    const revoke = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const rotate = jest.spyOn(Session, 'findOneAndUpdate');
+
+    await expect(refreshSession(`${session._id}.older-secret`, req))
+      .rejects.toMatchObject({ statusCode: 401, message: expect.stringContaining('already used') });
+
+    expect(revoke).toHaveBeenCalledWith(
+      { _id: session._id, revokedAt: null },
+      expect.objectContaining({ revokedReason: 'token-reuse' })
+    );
+    expect(notify).toHaveBeenCalledWith(session.userId, 'session-reuse', { session });
+    expect(rotate).not.toHaveBeenCalled();
+  });
+
+  it('does not alert again for a session that is already revoked', async () => {
+    const session = newSession({ revokedAt: new Date(), revokedReason: 'token-reuse' });
+    findSession(session);
+    const revoke = jest.spyOn(Session, 'updateOne');
+
+    await expect(refreshSession(`${session._id}.older-secret`, req))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid refresh token' });
+
+    expect(revoke).not.toHaveBeenCalled();
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('treats an unknown secret as invalid, not as reuse', async () => {
+    const session = newSession();
+    findSession(session);
+    const revoke = jest.spyOn(Session, 'updateOne');
+
+    await expect(refreshSession(`${session._id}.made-up-secret`, req))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid refresh token' });
+
+    expect(revoke).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const Transaction = require('../models/Transaction');
+
+const userId = new mongoose.Types.ObjectId();
+const wallet = { _id: new mongoose.Types.ObjectId(), userId, balance: 100, currency: 'INR' };
+
+const newTransaction = (fields = {}) => new Transaction({
+  walletId: wallet._id,
+  userId,
+  type: 'refund',
+  amount: 25,
+  debitAccount: 'revenue:rides',
+  creditAccount: `wallet:${userId}`,
+  balanceAfter: 125,
+  reference: 'refund:ride:1:1',
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(Wallet, 'getOrCreate').mockResolvedValue(wallet);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Wallet.applyTransaction', () => {
+  it('posts a new transaction and moves the balance', async () => {
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+    const move = jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ ...wallet, balance: 125 });
+    const create = jest.spyOn(Transaction, 'create').mockImplementation(async (fields) => newTransaction(fields));
+
+    const transaction = await Wallet.applyTransaction(userId, {
+      type: 'refund',
+      amount: 25,
+      reference: 'refund:ride:1:1'
+    });
+
+    expect(move).toHaveBeenCalledWith({ _id: wallet._id }, { $inc: { balance: 25 } }, { new: true });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 25,
+      balanceAfter: 125,
+      creditAccount: `wallet:${userId}`,
+      reference: 'refund:ride:1:1'
+    }));
+    expect(transaction.$locals.duplicate).toBeUndefined();
+  });
+
+  it('returns the original transaction for a repeated reference without moving money', async () => {
+    const original = newTransaction();
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(original);
+    const move = jest.spyOn(Wallet, 'findOneAndUpdate');
+    const create = jest.spyOn(Transaction, 'create');
+
+    const transaction = await Wallet.applyTransaction(userId, {
+      type: 'refund',
+      amount: 25,
+      reference: 'refund:ride:1:1'
+    });
+
+    expect(transaction).toBe(original);
+    expect(transaction.$locals.duplicate).toBe(true);
+    expect(move).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('undoes the balance change when a concurrent request posted the reference first', async () => {
+    const original = newTransaction();
+    jest.spyOn(Transaction, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(original);
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ ...wallet, balance: 125 });
+    jest.spyOn(Transaction, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+    const undo = jest.spyOn(Wallet, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const transaction = await Wallet.applyTransaction(userId, {
+      type: 'refund',
+      amount: 25,
+      reference: 'refund:ride:1:1'
+    });
+
+    expect(undo).toHaveBeenCalledWith({ _id: wallet._id }, { $inc: { balance: -25 } });
+    expect(transaction).toBe(original);
+    expect(transaction.$locals.duplicate).toBe(true);
+  });
+
+  it('refuses a debit the balance cannot cover', async () => {
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+    const move = jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(Wallet.applyTransaction(userId, {
+      type: 'ride-charge',
+      amount: -150,
+      reference: 'ride:1'
+    })).rejects.toMatchObject({ statusCode: 402 });
+
+    expect(move).toHaveBeenCalledWith(
+      { _id: wallet._id, balance: { $gte: 150 } },
+      { $inc: { balance: -150 } },
+      { new: true }
+    );
+  });
+
+  it('rejects an amount with the wrong sign for its type', async () => {
+    await expect(Wallet.applyTransaction(userId, { type: 'refund', amount: -10 }))
+      .rejects.toThrow('Invalid amount -10 for refund transaction');
+  });
+});
@@ -1,5 +1,37 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive, verifyStreamTicket } = require('../services/sessions');
+
+// Load the user a verified token belongs to onto the request. Answers 401 and
+// returns false if the user or the token's session is no longer good.
+const acceptToken = async (decoded, req, res) => {
+  // Get user from token
+  req.user = await User.findById(decoded.id).select('-password');
+
+  if (!req.user) {
+    res.status(401).json({ message: 'User not found' });
+    return false;
+  }
+
+  if (!req.user.isActive) {
+    res.status(401).json({ message: 'User account is deactivated' });
+    return false;
+  }
+
+  if (req.user.changedPasswordAfter(decoded.iat)) {
+    res.status(401).json({ message: 'Password was changed, please log in again' });
+    return false;
+  }
+
+  // Tokens die with their session, so logging out takes effect at once
+  if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+    res.status(401).json({ message: 'Session has ended, please log in again' });
+    return false;
+  }
+  req.sessionId = decoded.sid;
+
+  return true;
+};
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -14,18 +46,7 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
-
-      if (!req.user) {
-        return res.status(401).json({ message: 'User not found' });
-      }
-
-      if (!req.user.isActive) {
-        return res.status(401).json({ message: 'User account is deactivated' });
-      }
-
-      next();
+      if (await acceptToken(decoded, req, res)) next();
     } catch (error) {
       console.error('Token verification error:', error);
       return res.status(401).json({ message: 'Not authorized, token failed' });
@@ -37,6 +58,24 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Protect the live update stream. Clients that can set headers use their
+// access token; browsers' EventSource cannot, so it passes a stream ticket as
+// ?ticket= instead. Access tokens are never accepted in the URL.
+const protectStream = async (req, res, next) => {
+  if (req.headers.authorization || !req.query.ticket) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = verifyStreamTicket(String(req.query.ticket));
+
+    if (await acceptToken(decoded, req, res)) next();
+  } catch (error) {
+    console.error('Stream ticket verification error:', error);
+    return res.status(401).json({ message: 'Not authorized, ticket failed' });
+  }
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -70,8 +109,27 @@ const checkActiveRide = async (req, res, next) => {
   }
 };
 
+// Block users who have not verified what RIDE_VERIFICATION_POLICY requires
+const requireVerified = (req, res, next) => {
+  const { RIDE_POLICY, missingForRide } = require('../services/verification');
+  const missing = missingForRide(req.user);
+
+  if (missing.length) {
+    return res.status(403).json({
+      success: false,
+      message: `Verify your ${missing.join(RIDE_POLICY === 'email-or-phone' ? ' or ' : ' and ')} before riding`,
+      code: 'VERIFICATION_REQUIRED',
+      data: { policy: RIDE_POLICY, missing }
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   protect,
+  protectStream,
   authorize,
-  checkActiveRide
+  checkActiveRide,
+  requireVerified
 }; 
\ No newline at end of file
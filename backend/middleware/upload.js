@@ -0,0 +1,79 @@
+const multer = require('multer');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// What a file really is, from its first bytes; null if not an accepted image
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+};
+
+// Accept up to `maxCount` images in `field`, held in memory for the storage
+// backend to save. The client's content type is only a first filter: each
+// file's bytes must be a JPEG, PNG or WebP image, and `mimetype` is set to
+// what they actually are. Upload problems are answered with a 400.
+const uploadImages = (field, { maxCount, maxSizeMb }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      files: maxCount,
+      fileSize: Math.floor(maxSizeMb * 1024 * 1024)
+    },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_TYPES.includes(file.mimetype)) {
+        const error = new Error('Only JPEG, PNG and WebP images are allowed');
+        error.statusCode = 400;
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).array(field, maxCount);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        const files = req.files || [];
+        const invalid = files.find(file => !detectImageType(file.buffer));
+        if (invalid) {
+          return res.status(400).json({
+            success: false,
+            message: `${invalid.originalname} is not a valid JPEG, PNG or WebP image`
+          });
+        }
+        files.forEach(file => {
+          file.mimetype = detectImageType(file.buffer);
+        });
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Each photo must be smaller than ${maxSizeMb} MB`,
+          LIMIT_FILE_COUNT: `You can upload at most ${maxCount} photos`,
+          LIMIT_UNEXPECTED_FILE: `Upload at most ${maxCount} photos in the '${field}' field`
+        };
+        return res.status(400).json({
+          success: false,
+          message: messages[error.code] || error.message
+        });
+      }
+
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    });
+  };
+};
+
+module.exports = {
+  detectImageType,
+  uploadImages
+};
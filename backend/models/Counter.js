@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Named sequences for human-facing document numbers (receipts, invoices)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Counter name is required']
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to atomically take the next number in a sequence
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
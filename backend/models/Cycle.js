@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const QRCode = require('qrcode');
+const { trackChanges } = require('../utils/changeTracking');
 
 const cycleSchema = new mongoose.Schema({
   cycleId: {
@@ -15,7 +16,7 @@ const cycleSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['available', 'in-use', 'maintenance', 'out-of-service'],
+    enum: ['available', 'reserved', 'in-use', 'maintenance', 'out-of-service', 'lost', 'in-transit'],
     default: 'available'
   },
   model: {
@@ -37,6 +38,21 @@ const cycleSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Usage since lastMaintenance, reset when a ticket is resolved
+  usage: {
+    rides: {
+      type: Number,
+      default: 0
+    },
+    rideMinutes: {
+      type: Number,
+      default: 0
+    },
+    distance: {
+      type: Number, // in meters, from GPS tracks where recorded
+      default: 0
+    }
+  },
   qrCode: {
     type: String,
     unique: true
@@ -84,7 +100,16 @@ cycleSchema.methods.updateStatus = function(newStatus) {
   return this.save();
 };
 
+// Static method to add a finished ride to a cycle's usage since its last service
+cycleSchema.statics.recordUsage = function(cycleId, { minutes = 0, distance = 0 }) {
+  return this.updateOne(
+    { _id: cycleId },
+    { $inc: { 'usage.rides': 1, 'usage.rideMinutes': minutes, 'usage.distance': distance } }
+  );
+};
+
 // Static method to find available cycles at a station
+// (reserved cycles are held for a rider and are not offered to anyone else)
 cycleSchema.statics.findAvailableAtStation = function(stationId) {
   return this.find({
     stationId,
@@ -102,6 +127,9 @@ cycleSchema.virtual('currentRide', {
   justOne: true
 });
 
+// Let live subscribers know when station availability may have changed
+cycleSchema.plugin(trackChanges, { fields: ['status', 'stationId', 'isActive'] });
+
 // Ensure virtuals are included in JSON output
 cycleSchema.set('toJSON', { virtuals: true });
 cycleSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// One cycle's move between stations. Transfers carry cycles through an
+// `in-transit` stage; adjustments are admin corrections of a cycle's station.
+const cycleMovementSchema = new mongoose.Schema({
+  // Shared by every cycle picked up together (TR-000001); null for adjustments
+  transferNumber: {
+    type: String,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['transfer', 'adjustment'],
+    default: 'transfer'
+  },
+  cycleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cycle',
+    required: [true, 'Cycle ID is required']
+  },
+  fromStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Source station is required']
+  },
+  // Where the cycle was headed when picked up
+  toStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Destination station is required']
+  },
+  // Where it was actually docked; differs from toStation after a redirect or cancellation
+  deliveredTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['in-transit', 'delivered', 'cancelled'],
+    default: 'in-transit'
+  },
+  // Cycle status before pickup, restored on drop-off
+  previousStatus: {
+    type: String,
+    required: [true, 'Previous status is required']
+  },
+  rebalancingTaskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RebalancingTask',
+    default: null
+  },
+  pickedUpBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Picked up by is required']
+  },
+  pickedUpAt: {
+    type: Date,
+    default: Date.now
+  },
+  droppedOffBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  droppedOffAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+cycleMovementSchema.index({ transferNumber: 1 });
+cycleMovementSchema.index({ cycleId: 1, pickedUpAt: -1 });
+cycleMovementSchema.index({ status: 1, pickedUpAt: -1 });
+
+module.exports = mongoose.model('CycleMovement', cycleMovementSchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Severity assumed for each category when the rider does not pick one
+const CATEGORY_SEVERITY = {
+  'flat-tyre': 'high',
+  brakes: 'critical',
+  chain: 'high',
+  gears: 'medium',
+  seat: 'medium',
+  lights: 'low',
+  bell: 'low',
+  frame: 'critical',
+  other: 'medium'
+};
+
+const photoSchema = new mongoose.Schema({
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  size: Number
+}, { _id: false });
+
+const damageReportSchema = new mongoose.Schema({
+  cycleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cycle',
+    required: [true, 'Cycle ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+  stationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    default: null
+  },
+  // When the problem was reported
+  context: {
+    type: String,
+    enum: ['ride-start', 'ride-end', 'standalone'],
+    default: 'standalone'
+  },
+  category: {
+    type: String,
+    enum: Object.keys(CATEGORY_SEVERITY),
+    required: [true, 'Category is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES
+  },
+  photos: [photoSchema],
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // Maintenance ticket covering this report
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceTicket',
+    default: null
+  },
+  // True when this report took the cycle out of service
+  removedFromService: {
+    type: Boolean,
+    default: false
+  },
+  adminNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  triagedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  triagedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+damageReportSchema.index({ cycleId: 1, status: 1, createdAt: -1 });
+damageReportSchema.index({ status: 1, createdAt: -1 });
+damageReportSchema.index({ userId: 1, createdAt: -1 });
+
+// Default the severity from the category
+damageReportSchema.pre('validate', function(next) {
+  if (!this.severity && this.category) {
+    this.severity = CATEGORY_SEVERITY[this.category];
+  }
+  next();
+});
+
+// Instance method to check whether the report is at least as severe as `level`
+damageReportSchema.methods.isAtLeast = function(level) {
+  return SEVERITIES.indexOf(this.severity) >= SEVERITIES.indexOf(level);
+};
+
+// Static method to check whether a cycle has unresolved reports at or above `level`
+damageReportSchema.statics.hasOpenReportAtLeast = async function(cycleId, level) {
+  const report = await this.exists({
+    cycleId,
+    status: { $in: ['open', 'acknowledged'] },
+    severity: { $in: SEVERITIES.slice(SEVERITIES.indexOf(level)) }
+  });
+  return Boolean(report);
+};
+
+// Photos are not public; clients fetch them through the API, which checks
+// who is asking
+damageReportSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (Array.isArray(ret.photos)) {
+      ret.photos = ret.photos.map((photo, index) => ({
+        ...photo,
+        url: `/api/damage-reports/${ret._id}/photos/${index}`
+      }));
+    }
+    return ret;
+  }
+});
+
+damageReportSchema.statics.SEVERITIES = SEVERITIES;
+damageReportSchema.statics.CATEGORIES = Object.keys(CATEGORY_SEVERITY);
+
+module.exports = mongoose.model('DamageReport', damageReportSchema);
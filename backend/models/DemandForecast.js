@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const HOURS_PER_WEEK = 168;
+
+const hourlyRates = {
+  type: [Number],
+  validate: {
+    validator: (rates) => rates.length === HOURS_PER_WEEK,
+    message: `Rates must cover all ${HOURS_PER_WEEK} hours of the week`
+  }
+};
+
+// Expected pickups and drop-offs at a station for each hour of the week,
+// learned from past rides. Index 0 is Sunday 00:00-01:00 in `timezone`.
+const demandForecastSchema = new mongoose.Schema({
+  stationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Station ID is required'],
+    unique: true
+  },
+  pickups: hourlyRates,
+  dropoffs: hourlyRates,
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // Weeks of ride history the rates were learned from
+  weeks: {
+    type: Number,
+    default: 0
+  },
+  rides: {
+    type: Number,
+    default: 0
+  },
+  trainedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+demandForecastSchema.statics.HOURS_PER_WEEK = HOURS_PER_WEEK;
+
+module.exports = mongoose.model('DemandForecast', demandForecastSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// An attempt to end a ride while outside the station's geofence
+const geofenceViolationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: [true, 'Ride ID is required']
+  },
+  stationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Station ID is required']
+  },
+  location: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number
+  },
+  // Where the position came from: sent with the request or the last GPS track point
+  source: {
+    type: String,
+    enum: ['reported', 'track'],
+    default: 'reported'
+  },
+  distance: {
+    type: Number, // in meters
+    required: [true, 'Distance is required']
+  },
+  allowedRadius: {
+    type: Number, // in meters
+    required: [true, 'Allowed radius is required']
+  },
+  // True when an admin override let the ride end anyway
+  overridden: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+geofenceViolationSchema.index({ createdAt: -1 });
+geofenceViolationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GeofenceViolation', geofenceViolationSchema);
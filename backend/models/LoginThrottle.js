@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Failed login count for one account (keyed by email) or one IP address,
+// with the delay or lockout it has earned
+const loginThrottleSchema = new mongoose.Schema({
+  // `account:<email>` or `ip:<address>`
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true
+  },
+  // Failures since the last lockout or success, within the failure window
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: Date.now
+  },
+  // No attempt is allowed before this (the progressive delay)
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Lockouts so far; each one lasts twice as long as the last
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Forgotten a day after the last failure; lockouts never run longer than that
+loginThrottleSchema.index({ lastFailureAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+loginThrottleSchema.index({ lockedUntil: 1 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
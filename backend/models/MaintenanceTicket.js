@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+
+// Status changes a ticket may go through
+const TRANSITIONS = {
+  open: ['assigned'],
+  assigned: ['open', 'in-progress'],
+  'in-progress': ['resolved'],
+  resolved: ['in-progress', 'closed'],
+  closed: []
+};
+
+const partSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Part name is required'],
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1']
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const labourSchema = new mongoose.Schema({
+  technicianId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  minutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minutes cannot be negative']
+  },
+  note: {
+    type: String,
+    required: [true, 'Note is required'],
+    trim: true,
+    maxlength: [1000, 'Note cannot be more than 1000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const historySchema = new mongoose.Schema({
+  status: String,
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const maintenanceTicketSchema = new mongoose.Schema({
+  ticketNumber: {
+    type: String,
+    unique: true
+  },
+  cycleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cycle',
+    required: [true, 'Cycle ID is required']
+  },
+  damageReportIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DamageReport'
+  }],
+  // Preventive tickets are opened by the service schedule
+  type: {
+    type: String,
+    enum: ['repair', 'preventive'],
+    default: 'repair'
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  parts: [partSchema],
+  labour: [labourSchema],
+  resolution: {
+    summary: {
+      type: String,
+      trim: true
+    },
+    condition: {
+      type: String,
+      enum: ['excellent', 'good', 'fair', 'poor']
+    }
+  },
+  history: [historySchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+maintenanceTicketSchema.index({ cycleId: 1, status: 1 });
+maintenanceTicketSchema.index({ assignedTo: 1, status: 1 });
+maintenanceTicketSchema.index({ status: 1, priority: 1, createdAt: 1 });
+
+// Virtual for the cost of parts used
+maintenanceTicketSchema.virtual('partsCost').get(function() {
+  return (this.parts || []).reduce((sum, part) => sum + part.quantity * part.unitCost, 0);
+});
+
+// Virtual for total labour time in minutes
+maintenanceTicketSchema.virtual('labourMinutes').get(function() {
+  return (this.labour || []).reduce((sum, entry) => sum + entry.minutes, 0);
+});
+
+// Instance method to move the ticket to a new status, recording who did it
+maintenanceTicketSchema.methods.transition = function(status, userId) {
+  if (!TRANSITIONS[this.status].includes(status)) {
+    const error = new Error(`Cannot move a ticket from ${this.status} to ${status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.status = status;
+  this.history.push({ status, by: userId, at: new Date() });
+  if (status === 'resolved') this.resolvedAt = new Date();
+  if (status === 'closed') this.closedAt = new Date();
+  return this;
+};
+
+// Static method to check whether a cycle has unfinished tickets
+maintenanceTicketSchema.statics.hasOpenTicket = async function(cycleId, excludeTicketId = null) {
+  const filter = { cycleId, status: { $in: ['open', 'assigned', 'in-progress'] } };
+  if (excludeTicketId) filter._id = { $ne: excludeTicketId };
+  return Boolean(await this.exists(filter));
+};
+
+// Ensure virtuals are included in JSON output
+maintenanceTicketSchema.set('toJSON', { virtuals: true });
+maintenanceTicketSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('MaintenanceTicket', maintenanceTicketSchema);
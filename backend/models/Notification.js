@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A message in a user's inbox. Delivery to email, SMS and push is tracked
+// separately per channel in NotificationDelivery.
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    trim: true
+  },
+  // Ids the app can use to open the related screen, e.g. { rideId }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// One attempt-tracked send of a notification over one channel. Pending
+// deliveries form the outbound queue and are retried with backoff.
+const notificationDeliverySchema = new mongoose.Schema({
+  // Null for secret messages, which are not kept in the inbox
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'push'],
+    required: [true, 'Channel is required']
+  },
+  transport: {
+    type: String,
+    required: [true, 'Transport is required']
+  },
+  // Email address, phone number or list of push tokens
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Recipient is required']
+  },
+  subject: String,
+  text: String,
+  html: String,
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Text and html are discarded once a secret message is sent or given up
+  secret: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ notificationId: 1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const passPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot be more than 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Plan code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  period: {
+    type: String,
+    enum: ['daily', 'monthly', 'semester', 'custom'],
+    required: [true, 'Plan period is required']
+  },
+  durationDays: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [1, 'Duration must be at least 1 day']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Minutes of every ride that are covered by the pass
+  includedMinutesPerRide: {
+    type: Number,
+    default: 30,
+    min: [0, 'Included minutes cannot be negative']
+  },
+  // Rides covered per pass period; null means unlimited
+  rideLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Ride limit must be at least 1']
+  },
+  eligibleRoles: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check whether a role may buy this plan
+passPlanSchema.methods.isAvailableTo = function(role) {
+  return this.isActive && (this.eligibleRoles.length === 0 || this.eligibleRoles.includes(role));
+};
+
+module.exports = mongoose.model('PassPlan', passPlanSchema);
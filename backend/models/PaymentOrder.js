@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const paymentOrderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['wallet-topup'],
+    default: 'wallet-topup'
+  },
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required'],
+    trim: true
+  },
+  providerOrderId: {
+    type: String,
+    required: [true, 'Provider order ID is required'],
+    trim: true
+  },
+  providerPaymentId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'failed', 'refunded'],
+    default: 'created'
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    providerRefundId: String,
+    amount: Number,
+    reason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Provider event IDs already applied, so replayed callbacks are ignored
+  processedEvents: [{
+    type: String
+  }],
+  failureReason: {
+    type: String,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+paymentOrderSchema.index({ provider: 1, providerOrderId: 1 }, { unique: true });
+paymentOrderSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentOrder', paymentOrderSchema);
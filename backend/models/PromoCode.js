@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  campaign: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat', 'free-minutes'],
+    required: [true, 'Discount type is required']
+  },
+  // Percent off, amount off, or free minutes depending on discountType
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Upper limit on a percentage discount for a single ride
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  // Total redemptions across all riders; null means unlimited
+  maxRedemptions: {
+    type: Number,
+    default: null,
+    min: [1, 'Maximum redemptions must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  eligibleRoles: [{
+    type: String,
+    trim: true
+  }],
+  // Only riders who have not completed a ride yet may use the code
+  newUsersOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+  next();
+});
+
+// Instance method to check a code can be used by a rider right now.
+// Returns the reason it cannot, or null when it is valid.
+// Pass `pendingRedemption` when the rider already holds a slot for this code.
+promoCodeSchema.methods.checkEligibility = async function(user, { pendingRedemption = null } = {}) {
+  const PromoRedemption = require('./PromoRedemption');
+  const Ride = require('./Ride');
+  const now = new Date();
+
+  if (!this.isActive) return 'Promo code is no longer active';
+  if (this.validFrom && this.validFrom > now) return 'Promo code is not valid yet';
+  if (this.validUntil && this.validUntil < now) return 'Promo code has expired';
+  if (this.maxRedemptions !== null && this.redemptionCount >= this.maxRedemptions) {
+    return 'Promo code has reached its redemption limit';
+  }
+  if (this.eligibleRoles.length > 0 && !this.eligibleRoles.includes(user.role)) {
+    return 'Promo code is not available for your account';
+  }
+
+  if (this.newUsersOnly) {
+    const completedRides = await Ride.countDocuments({ userId: user._id, status: 'completed' });
+    if (completedRides > 0) return 'Promo code is only for new riders';
+  }
+
+  // An early answer only; PromoRedemption.claimSlot enforces the limit
+  if (!pendingRedemption) {
+    const used = await PromoRedemption.countDocuments({
+      promoId: this._id,
+      userId: user._id,
+      status: { $in: ['pending', 'redeemed'] }
+    });
+    if (used >= this.perUserLimit) return 'You have already used this promo code';
+  }
+
+  return null;
+};
+
+// Static method to count one redemption, respecting the global limit
+promoCodeSchema.statics.claimRedemption = function(promoId) {
+  return this.findOneAndUpdate(
+    {
+      _id: promoId,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
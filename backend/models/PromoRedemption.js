@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema({
+  promoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: [true, 'Promo code is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Applied to the account (used on the next ride) or directly to a ride
+  appliedTo: {
+    type: String,
+    enum: ['account', 'ride'],
+    default: 'account'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'redeemed', 'cancelled'],
+    default: 'pending'
+  },
+  // Which of the code's per-user uses this is, 1 to perUserLimit. Cleared
+  // when the redemption is cancelled so the use can be taken again.
+  slot: {
+    type: Number,
+    default: null
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  freeMinutes: {
+    type: Number,
+    default: 0
+  },
+  redeemedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index({ userId: 1, status: 1, createdAt: 1 });
+promoRedemptionSchema.index({ promoId: 1, status: 1 });
+promoRedemptionSchema.index(
+  { promoId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+
+// Static method to find the code a rider applied to their account and has not used yet
+promoRedemptionSchema.statics.findPendingForUser = function(userId) {
+  return this.findOne({ userId, status: 'pending' })
+    .sort({ createdAt: 1 })
+    .populate('promoId');
+};
+
+// Static method to create a redemption in a free per-user slot of the promo.
+// Slots are unique per rider and code, so concurrent requests cannot take the
+// rider past perUserLimit. Returns null when every slot is taken.
+promoRedemptionSchema.statics.claimSlot = async function(promo, userId, fields = {}) {
+  // Redemptions made before slots existed count against the lowest ones
+  const unslotted = await this.countDocuments({
+    promoId: promo._id,
+    userId,
+    status: { $in: ['pending', 'redeemed'] },
+    slot: null
+  });
+
+  for (let slot = unslotted + 1; slot <= promo.perUserLimit; slot++) {
+    try {
+      return await this.create({ ...fields, promoId: promo._id, userId, slot });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return null;
+};
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
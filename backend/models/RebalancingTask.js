@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A recommendation to move cycles between stations, worked by operations staff
+const rebalancingTaskSchema = new mongoose.Schema({
+  fromStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Source station is required']
+  },
+  toStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Destination station is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  // Higher scores are more urgent; used to order tasks within a priority
+  score: {
+    type: Number,
+    default: 0
+  },
+  distance: {
+    type: Number, // in meters between the stations
+    default: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'cancelled'],
+    default: 'pending'
+  },
+  movedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Moved count cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+rebalancingTaskSchema.index({ status: 1, score: -1 });
+
+module.exports = mongoose.model('RebalancingTask', rebalancingTaskSchema);
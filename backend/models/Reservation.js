@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+const reservationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  stationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Station ID is required']
+  },
+  cycleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cycle',
+    required: [true, 'Cycle ID is required']
+  },
+  anyCycle: {
+    type: Boolean,
+    default: false
+  },
+  // Holds placed automatically for the front of a station waitlist
+  source: {
+    type: String,
+    enum: ['rider', 'waitlist'],
+    default: 'rider'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'fulfilled', 'cancelled', 'expired'],
+    default: 'active'
+  },
+  holdMinutes: {
+    type: Number,
+    required: [true, 'Hold duration is required'],
+    min: [1, 'Hold must be at least 1 minute']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ userId: 1, status: 1 });
+
+// Release the held cycle and close the reservation with the given status
+reservationSchema.methods.release = async function(status) {
+  const Cycle = require('./Cycle');
+
+  this.status = status;
+  this.endedAt = new Date();
+  await this.save();
+
+  // Only hand the cycle back if it is still held for this reservation
+  await Cycle.updateOne(
+    { _id: this.cycleId, status: 'reserved' },
+    { status: 'available' }
+  );
+
+  return this;
+};
+
+// Close the reservation as turned into `ride`. The cycle being ridden has
+// already been claimed by the ride; a different held cycle goes back on offer.
+reservationSchema.methods.fulfil = async function(ride) {
+  const Cycle = require('./Cycle');
+
+  this.status = 'fulfilled';
+  this.endedAt = new Date();
+  this.rideId = ride._id;
+  await this.save();
+
+  if (this.cycleId.toString() !== ride.cycleId.toString()) {
+    await Cycle.updateOne(
+      { _id: this.cycleId, status: 'reserved' },
+      { status: 'available' }
+    );
+  }
+
+  return this;
+};
+
+// Static method to find the active reservation for a user
+reservationSchema.statics.findActiveReservation = function(userId) {
+  return this.findOne({
+    userId,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to expire holds that have run out and free their cycles
+reservationSchema.statics.expireStale = async function() {
+  const stale = await this.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  });
+
+  for (const reservation of stale) {
+    await reservation.release('expired');
+  }
+
+  return stale.length;
+};
+
+// Static method to count no-shows (expired holds) within a time window.
+// Holds the rider did not ask for themselves are not counted.
+reservationSchema.statics.countRecentNoShows = function(userId, days) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  return this.countDocuments({
+    userId,
+    status: 'expired',
+    source: { $ne: 'waitlist' },
+    expiresAt: { $gte: since }
+  });
+};
+
+// Virtual for minutes left on the hold
+reservationSchema.virtual('remainingMinutes').get(function() {
+  if (this.status !== 'active' || !this.expiresAt) return 0;
+  const remainingMs = this.expiresAt.getTime() - Date.now();
+  return Math.max(0, Math.ceil(remainingMs / (1000 * 60)));
+});
+
+// Ensure virtuals are included in JSON output
+reservationSchema.set('toJSON', { virtuals: true });
+reservationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const { trackChanges } = require('../utils/changeTracking');
+
+// GPS trace of a ride as a GeoJSON LineString
+const trackSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['LineString'],
+    default: 'LineString'
+  },
+  coordinates: {
+    type: [[Number]], // [longitude, latitude]
+    default: []
+  }
+}, { _id: false });
 
 const rideSchema = new mongoose.Schema({
   userId: {
@@ -44,6 +58,186 @@ const rideSchema = new mongoose.Schema({
     ref: 'Station',
     default: null
   },
+  fare: {
+    tariffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tariff',
+      default: null
+    },
+    currency: {
+      type: String,
+      default: 'INR'
+    },
+    rateType: {
+      type: String,
+      enum: ['per-minute', 'per-block'],
+      default: 'per-minute'
+    },
+    billableMinutes: {
+      type: Number,
+      default: 0
+    },
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+      default: null
+    },
+    includedMinutes: {
+      type: Number,
+      default: 0
+    },
+    unlockFee: {
+      type: Number,
+      default: 0
+    },
+    timeCharge: {
+      type: Number,
+      default: 0
+    },
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    promoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      default: null
+    },
+    promoCode: {
+      type: String,
+      default: null
+    },
+    redemptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoRedemption',
+      default: null
+    },
+    promoMinutes: {
+      type: Number,
+      default: 0
+    },
+    promoDiscount: {
+      type: Number,
+      default: 0
+    },
+    // Minutes not billed after the rider was turned away from a full station
+    graceMinutes: {
+      type: Number,
+      default: 0
+    },
+    capDiscount: {
+      type: Number,
+      default: 0
+    },
+    lateFee: {
+      type: Number,
+      default: 0
+    },
+    lostCycleFee: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+    // Estimated at the old flat rate for a ride that ended before fares were stored
+    legacy: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Raw track is large, so it is only loaded when asked for
+  track: {
+    type: trackSchema,
+    select: false
+  },
+  // Seconds since startTime for each track coordinate
+  trackOffsets: {
+    type: [Number],
+    select: false
+  },
+  trip: {
+    distance: {
+      type: Number, // in meters
+      default: 0
+    },
+    avgSpeed: {
+      type: Number, // in km/h
+      default: 0
+    },
+    maxSpeed: {
+      type: Number, // in km/h
+      default: 0
+    },
+    pointCount: {
+      type: Number,
+      default: 0
+    },
+    polyline: {
+      type: String,
+      default: ''
+    }
+  },
+  // Lets the rider end the ride away from a station, granted by an admin
+  geofenceOverride: {
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    expiresAt: {
+      type: Date
+    }
+  },
+  // Set by the overdue ride scan
+  overdue: {
+    flaggedAt: {
+      type: Date,
+      default: null
+    },
+    // Escalated to admins as abandoned
+    escalatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Set when an admin or the scheduler closes a ride on the rider's behalf
+  closure: {
+    reason: {
+      type: String,
+      trim: true
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null // null when closed by the scheduler
+    },
+    closedAt: {
+      type: Date
+    },
+    lostCycle: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // When the rider first tried to dock at a full station
+  stationFullAt: {
+    type: Date,
+    default: null
+  },
+  // Left unset until the ride completes so the sparse unique index ignores it
+  receiptNumber: {
+    type: String
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    default: null
+  },
   feedback: {
     rating: {
       type: Number,
@@ -89,11 +283,38 @@ rideSchema.virtual('formattedDuration').get(function() {
   return `${minutes}m`;
 });
 
-// Virtual for total cost (example: $1 per hour)
+// Rate revenue was reported at, pro rata, before fares were stored
+const LEGACY_HOURLY_RATE = 10;
+
+// Static method to give rides that ended before fares were stored a fare
+// estimated at the old rate, so historical revenue and rider totals are not
+// zero. Returns the number of rides updated.
+rideSchema.statics.backfillLegacyFares = async function() {
+  const legacyTotal = {
+    $round: [{ $multiply: [{ $divide: [{ $ifNull: ['$duration', 0] }, 60] }, LEGACY_HOURLY_RATE] }, 2]
+  };
+  const result = await this.updateMany(
+    { endTime: { $ne: null }, 'fare.total': { $exists: false } },
+    [{
+      $set: {
+        fare: {
+          currency: 'INR',
+          rateType: 'per-minute',
+          billableMinutes: { $ifNull: ['$duration', 0] },
+          timeCharge: legacyTotal,
+          subtotal: legacyTotal,
+          total: legacyTotal,
+          legacy: true
+        }
+      }
+    }]
+  );
+  return result.modifiedCount;
+};
+
+// Virtual for total cost (kept for older clients, reads the stored fare)
 rideSchema.virtual('cost').get(function() {
-  if (!this.duration) return 0;
-  const hours = this.duration / 60;
-  return Math.ceil(hours) * 1; // $1 per hour, rounded up
+  return (this.fare && this.fare.total) || 0;
 });
 
 // Static method to find active rides for a user
@@ -108,18 +329,55 @@ rideSchema.statics.findActiveRide = function(userId) {
 // Static method to get ride statistics
 rideSchema.statics.getUserStats = function(userId) {
   return this.aggregate([
-    { $match: { userId: mongoose.Types.ObjectId(userId), status: 'completed' } },
+    { $match: { userId: new mongoose.Types.ObjectId(userId), status: 'completed' } },
     {
       $group: {
         _id: null,
         totalRides: { $sum: 1 },
         totalDuration: { $sum: '$duration' },
-        totalCost: { $sum: { $multiply: [{ $ceil: { $divide: ['$duration', 60] } }, 1] } }
+        totalCost: { $sum: '$fare.total' }
+      }
+    }
+  ]);
+};
+
+// Static method to total the fares a user has been charged since a given time.
+// Late and lost-cycle fees are left out so they do not count towards the daily cap.
+rideSchema.statics.sumFaresSince = async function(userId, since) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        status: 'completed',
+        endTime: { $gte: since }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: {
+            $subtract: [
+              '$fare.total',
+              { $add: [{ $ifNull: ['$fare.lateFee', 0] }, { $ifNull: ['$fare.lostCycleFee', 0] }] }
+            ]
+          }
+        }
       }
     }
   ]);
+
+  return result.length > 0 ? result[0].total : 0;
 };
 
+rideSchema.index({ receiptNumber: 1 }, { unique: true, sparse: true });
+rideSchema.index({ status: 1, startTime: 1 });
+
+// Let the rider and admins follow ride state live
+rideSchema.plugin(trackChanges, {
+  fields: ['status', 'endTime', 'endStation', 'fare', 'stationFullAt', 'overdue', 'closure']
+});
+
 // Ensure virtuals are included in JSON output
 rideSchema.set('toJSON', { virtuals: true });
 rideSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Security log: failed logins, lockouts, unlocks and suspicious activity
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['login-failed', 'account-locked', 'ip-locked', 'account-unlocked', 'suspicious-ip'],
+    required: [true, 'Event type is required']
+  },
+  // Null when the email does not belong to an account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // e.g. { reason: 'wrong-password' } or { lockedUntil }
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ ip: 1, createdAt: -1 });
+securityEventSchema.index({ email: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Preventive service schedule for a cycle model. A cycle is due once any
+// limit is reached since its last service; '*' applies to models without
+// their own schedule.
+const serviceIntervalSchema = new mongoose.Schema({
+  cycleModel: {
+    type: String,
+    required: [true, 'Cycle model is required'],
+    unique: true,
+    trim: true
+  },
+  rideMinutes: {
+    type: Number,
+    default: null,
+    min: [1, 'Ride minutes must be at least 1']
+  },
+  distanceKm: {
+    type: Number,
+    default: null,
+    min: [1, 'Distance must be at least 1 km']
+  },
+  days: {
+    type: Number,
+    default: null,
+    min: [1, 'Days must be at least 1']
+  },
+  // Past this percentage of any limit the cycle must not be ridden
+  hardLimitPercent: {
+    type: Number,
+    default: 125,
+    min: [100, 'Hard limit must be at least 100%']
+  },
+  // Take cycles past the hard limit out of service automatically
+  pullFromService: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Every schedule needs at least one limit
+serviceIntervalSchema.pre('validate', function(next) {
+  if (!this.rideMinutes && !this.distanceKm && !this.days) {
+    this.invalidate('rideMinutes', 'Set at least one of rideMinutes, distanceKm or days');
+  }
+  next();
+});
+
+// Static method to map each cycle model to its active schedule
+serviceIntervalSchema.statics.getSchedules = async function() {
+  const intervals = await this.find({ isActive: true });
+  const schedules = new Map(intervals.map(interval => [interval.cycleModel, interval]));
+
+  return {
+    all: intervals,
+    forModel: (model) => schedules.get(model) || schedules.get('*') || null
+  };
+};
+
+module.exports = mongoose.model('ServiceInterval', serviceIntervalSchema);
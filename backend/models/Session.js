@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. The client holds a refresh token for the session, which
+// is swapped for a new one on every refresh; only hashes are stored. Access
+// tokens name their session and stop working once it is revoked.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Hash of the refresh token currently issued for the session
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    select: false
+  },
+  // Hashes of refresh tokens already swapped for newer ones; seeing one again
+  // means the token was copied
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot be more than 100 characters'],
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed back on every refresh, so only idle sessions expire
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'revoked', 'token-reuse', 'password-change', 'deactivated', null],
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Sessions are deleted 30 days after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const { haversineDistance } = require('../utils/geo');
+
+// Cycles in these states are not sitting in a dock
+const UNDOCKED_STATUSES = ['in-use', 'lost', 'in-transit'];
+
+// Station position as a GeoJSON Point, kept in step with `coordinates`
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number] // [longitude, latitude]
+  }
+}, { _id: false });
 
 const stationSchema = new mongoose.Schema({
   name: {
@@ -32,6 +48,25 @@ const stationSchema = new mongoose.Schema({
       required: [true, 'Longitude is required']
     }
   },
+  // Derived from `coordinates` for geospatial queries; not set directly
+  geoLocation: {
+    type: pointSchema
+  },
+  // Share of capacity rebalancing aims to keep docked here;
+  // null uses REBALANCE_TARGET_FILL
+  targetFillLevel: {
+    type: Number,
+    default: null,
+    min: [0, 'Target fill level cannot be negative'],
+    max: [1, 'Target fill level cannot be more than 1']
+  },
+  // Riders must be within this many meters to end a ride here;
+  // null uses STATION_GEOFENCE_RADIUS
+  geofenceRadius: {
+    type: Number,
+    default: null,
+    min: [5, 'Geofence radius must be at least 5 meters']
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -48,15 +83,73 @@ const stationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+stationSchema.index({ geoLocation: '2dsphere' });
+
+const toPoint = ({ latitude, longitude }) => ({
+  type: 'Point',
+  coordinates: [longitude, latitude]
+});
+
+// Keep the GeoJSON point in step with latitude/longitude
+stationSchema.pre('save', function(next) {
+  if (this.isModified('coordinates') || !this.geoLocation) {
+    this.geoLocation = toPoint(this.coordinates);
+  }
+  next();
+});
+
+stationSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...update.$set };
+  this._coordinatesChanged = Object.keys(fields).some(key => key.startsWith('coordinates'));
+  next();
+});
+
+stationSchema.post('findOneAndUpdate', async function(doc) {
+  if (!doc || !this._coordinatesChanged) return;
+
+  // The update may have set only one of latitude/longitude, so read back both
+  const station = await this.model.findById(doc._id).select('coordinates');
+  if (station) {
+    const geoLocation = toPoint(station.coordinates);
+    await this.model.updateOne({ _id: doc._id }, { geoLocation });
+    doc.geoLocation = geoLocation;
+  }
+});
+
 // Virtual for available cycles count
 stationSchema.virtual('availableCycles', {
   ref: 'Cycle',
   localField: '_id',
   foreignField: 'stationId',
-  match: { status: 'available' },
+  match: { status: 'available', isActive: true },
+  count: true
+});
+
+// Virtual for cycles currently held by reservations
+stationSchema.virtual('reservedCycles', {
+  ref: 'Cycle',
+  localField: '_id',
+  foreignField: 'stationId',
+  match: { status: 'reserved', isActive: true },
   count: true
 });
 
+// Virtual for cycles taking up a dock (a cycle out on a ride does not hold one)
+stationSchema.virtual('dockedCycles', {
+  ref: 'Cycle',
+  localField: '_id',
+  foreignField: 'stationId',
+  match: { status: { $nin: UNDOCKED_STATUSES }, isActive: true },
+  count: true
+});
+
+// Virtual for free docks; needs dockedCycles populated
+stationSchema.virtual('freeDocks').get(function() {
+  if (typeof this.dockedCycles !== 'number') return undefined;
+  return Math.max(0, this.capacity - this.dockedCycles);
+});
+
 // Virtual for total cycles count
 stationSchema.virtual('totalCycles', {
   ref: 'Cycle',
@@ -65,6 +158,121 @@ stationSchema.virtual('totalCycles', {
   count: true
 });
 
+// Instance method to get the geofence radius in force for this station
+stationSchema.methods.getGeofenceRadius = function() {
+  return this.geofenceRadius || parseFloat(process.env.STATION_GEOFENCE_RADIUS) || 50;
+};
+
+// Instance method to get the distance in meters from a { latitude, longitude } point
+stationSchema.methods.distanceTo = function({ latitude, longitude }) {
+  return haversineDistance(
+    [this.coordinates.longitude, this.coordinates.latitude],
+    [longitude, latitude]
+  );
+};
+
+// Static method to find the active stations closest to a { latitude, longitude } point
+stationSchema.statics.findNearest = async function(point, limit = 3) {
+  const results = await this.aggregate([
+    {
+      $geoNear: {
+        near: toPoint(point),
+        distanceField: 'distance',
+        spherical: true,
+        query: { isActive: true }
+      }
+    },
+    { $limit: limit }
+  ]);
+
+  return results.map(({ distance, ...station }) => ({
+    station: this.hydrate(station),
+    distance: Math.round(distance)
+  }));
+};
+
+// Static method to find active stations within `radius` meters of a point,
+// nearest first, with live cycle and dock counts. Cycles out on a ride do not
+// take up a dock.
+stationSchema.statics.findNearby = function({
+  latitude,
+  longitude,
+  radius,
+  minCycles = 0,
+  minFreeDocks = 0,
+  limit = 20
+}) {
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: toPoint({ latitude, longitude }),
+        distanceField: 'distance',
+        maxDistance: radius,
+        spherical: true,
+        query: { isActive: true }
+      }
+    },
+    {
+      $lookup: {
+        from: 'cycles',
+        let: { stationId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$stationId', '$$stationId'] },
+              isActive: true,
+              status: { $nin: UNDOCKED_STATUSES }
+            }
+          },
+          { $project: { status: 1 } }
+        ],
+        as: 'dockedCycles'
+      }
+    },
+    {
+      $addFields: {
+        distance: { $round: ['$distance', 0] },
+        availableCycles: {
+          $size: { $filter: { input: '$dockedCycles', cond: { $eq: ['$$this.status', 'available'] } } }
+        },
+        reservedCycles: {
+          $size: { $filter: { input: '$dockedCycles', cond: { $eq: ['$$this.status', 'reserved'] } } }
+        },
+        freeDocks: { $max: [{ $subtract: ['$capacity', { $size: '$dockedCycles' }] }, 0] }
+      }
+    },
+    {
+      $match: {
+        availableCycles: { $gte: minCycles },
+        freeDocks: { $gte: minFreeDocks }
+      }
+    },
+    { $limit: limit },
+    { $project: { dockedCycles: 0, geoLocation: 0, __v: 0 } }
+  ]);
+};
+
+// Static method to fill in the GeoJSON point on stations saved before it existed
+stationSchema.statics.backfillGeoLocations = async function() {
+  const result = await this.updateMany(
+    { geoLocation: { $exists: false } },
+    [{
+      $set: {
+        geoLocation: {
+          type: 'Point',
+          coordinates: ['$coordinates.longitude', '$coordinates.latitude']
+        }
+      }
+    }]
+  );
+  return result.modifiedCount;
+};
+
+stationSchema.statics.UNDOCKED_STATUSES = UNDOCKED_STATUSES;
+
+// Live counts to populate on station responses
+stationSchema.statics.LIVE_COUNTS = ['availableCycles', 'reservedCycles', 'dockedCycles'];
+
 // Ensure virtuals are included in JSON output
 stationSchema.set('toJSON', { virtuals: true });
 stationSchema.set('toObject', { virtuals: true });
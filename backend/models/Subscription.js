@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const subscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PassPlan',
+    required: [true, 'Plan ID is required']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Plan terms are copied at purchase so later plan edits do not change them
+  includedMinutesPerRide: {
+    type: Number,
+    default: 0
+  },
+  rideLimit: {
+    type: Number,
+    default: null
+  },
+  ridesUsed: {
+    type: Number,
+    default: 0
+  },
+  pricePaid: {
+    type: Number,
+    default: 0
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  renewedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ userId: 1, status: 1, endDate: -1 });
+
+// Virtual for rides left in this period (null when unlimited)
+subscriptionSchema.virtual('ridesRemaining').get(function() {
+  if (this.rideLimit === null || this.rideLimit === undefined) return null;
+  return Math.max(0, this.rideLimit - this.ridesUsed);
+});
+
+// Static method to find the subscription in force for a user at a given time
+subscriptionSchema.statics.findActiveForUser = function(userId, at = new Date()) {
+  return this.findOne({
+    userId,
+    status: 'active',
+    startDate: { $lte: at },
+    endDate: { $gt: at }
+  }).sort({ startDate: 1 });
+};
+
+// Static method to find the latest subscription that has not yet run out,
+// including renewals queued to start in the future
+subscriptionSchema.statics.findLatestForUser = function(userId) {
+  return this.findOne({
+    userId,
+    status: 'active',
+    endDate: { $gt: new Date() }
+  }).sort({ endDate: -1 });
+};
+
+// Static method to use up one covered ride, if any are left
+subscriptionSchema.statics.consumeRide = function(subscriptionId) {
+  return this.findOneAndUpdate(
+    {
+      _id: subscriptionId,
+      $or: [
+        { rideLimit: null },
+        { $expr: { $lt: ['$ridesUsed', '$rideLimit'] } }
+      ]
+    },
+    { $inc: { ridesUsed: 1 } },
+    { new: true }
+  );
+};
+
+// Ensure virtuals are included in JSON output
+subscriptionSchema.set('toJSON', { virtuals: true });
+subscriptionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Rate fields shared by the base tariff and per-role overrides
+const rateFields = {
+  unlockFee: {
+    type: Number,
+    min: [0, 'Unlock fee cannot be negative']
+  },
+  perMinuteRate: {
+    type: Number,
+    min: [0, 'Per-minute rate cannot be negative']
+  },
+  blockMinutes: {
+    type: Number,
+    min: [1, 'Block length must be at least 1 minute']
+  },
+  blockRate: {
+    type: Number,
+    min: [0, 'Block rate cannot be negative']
+  },
+  freeMinutes: {
+    type: Number,
+    min: [0, 'Free minutes cannot be negative']
+  },
+  dailyCap: {
+    type: Number,
+    min: [0, 'Daily cap cannot be negative']
+  }
+};
+
+const rolePriceSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    trim: true
+  },
+  ...rateFields
+}, { _id: false });
+
+const tariffSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tariff name is required'],
+    trim: true,
+    maxlength: [100, 'Tariff name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true,
+    trim: true
+  },
+  rateType: {
+    type: String,
+    enum: ['per-minute', 'per-block'],
+    default: 'per-minute'
+  },
+  unlockFee: { ...rateFields.unlockFee, default: 0 },
+  perMinuteRate: { ...rateFields.perMinuteRate, default: 0 },
+  blockMinutes: { ...rateFields.blockMinutes, default: 30 },
+  blockRate: { ...rateFields.blockRate, default: 0 },
+  freeMinutes: { ...rateFields.freeMinutes, default: 0 },
+  dailyCap: { ...rateFields.dailyCap, default: null },
+  rolePrices: [rolePriceSchema],
+  // Late fee rules: rides kept out longer than maxRideMinutes pay lateFee plus
+  // lateFeePerHour for every started hour over, up to lateFeeCap
+  maxRideMinutes: {
+    type: Number,
+    default: 240,
+    min: [1, 'Maximum ride length must be at least 1 minute']
+  },
+  lateFee: {
+    type: Number,
+    default: 50,
+    min: [0, 'Late fee cannot be negative']
+  },
+  lateFeePerHour: {
+    type: Number,
+    default: 20,
+    min: [0, 'Hourly late fee cannot be negative']
+  },
+  lateFeeCap: {
+    type: Number,
+    default: 500,
+    min: [0, 'Late fee cap cannot be negative']
+  },
+  // Charged when a ride is closed because the cycle was never returned
+  lostCycleFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Lost cycle fee cannot be negative']
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+tariffSchema.index({ isActive: 1, effectiveFrom: -1 });
+
+// Static method to find the tariff currently in force
+tariffSchema.statics.getActive = function(at = new Date()) {
+  return this.findOne({
+    isActive: true,
+    effectiveFrom: { $lte: at }
+  }).sort({ effectiveFrom: -1 });
+};
+
+module.exports = mongoose.model('Tariff', tariffSchema);
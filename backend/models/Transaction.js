@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Ledger accounts money moves between. A user's wallet is `wallet:<userId>`.
+const ACCOUNTS = {
+  FUNDING: 'external:funding',
+  RIDE_REVENUE: 'revenue:rides',
+  PASS_REVENUE: 'revenue:passes',
+  ADJUSTMENTS: 'operator:adjustments'
+};
+
+const TYPES = ['topup', 'topup-refund', 'ride-charge', 'pass-purchase', 'refund', 'adjustment'];
+
+const transactionSchema = new mongoose.Schema({
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: [true, 'Wallet ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: [true, 'Transaction type is required']
+  },
+  // Signed change to the wallet balance: credits are positive, debits negative
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  debitAccount: {
+    type: String,
+    required: [true, 'Debit account is required']
+  },
+  creditAccount: {
+    type: String,
+    required: [true, 'Credit account is required']
+  },
+  balanceAfter: {
+    type: Number,
+    required: [true, 'Resulting balance is required']
+  },
+  // Idempotency key, e.g. `ride:<rideId>`; a reference is only ever posted once
+  reference: {
+    type: String,
+    trim: true
+  },
+  // Reference on the other side, e.g. a payment provider's payment ID
+  externalReference: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+transactionSchema.index({ reference: 1 }, { unique: true, sparse: true });
+transactionSchema.index({ userId: 1, createdAt: -1 });
+
+transactionSchema.statics.TYPES = TYPES;
+transactionSchema.statics.ACCOUNTS = ACCOUNTS;
+
+module.exports = mongoose.model('Transaction', transactionSchema);
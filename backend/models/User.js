@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { randomToken, hashToken } = require('../utils/tokens');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,7 +24,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'admin', 'technician'],
     default: 'user'
   },
   phone: {
@@ -34,6 +35,63 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set once the user enters a code sent to their email or phone
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Channels the user wants notifications on; the in-app inbox is always kept
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: false
+    },
+    push: {
+      type: Boolean,
+      default: true
+    },
+    // Notification types the user has turned off (account security messages are always sent)
+    mutedTypes: {
+      type: [String],
+      default: []
+    }
+  },
+  // Expo push tokens of the user's devices
+  pushTokens: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Tokens issued before this are no longer accepted
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Hash of the outstanding password reset token, if any
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -53,6 +111,15 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // A new password ends every existing login and any pending reset. Token
+    // issue times are in whole seconds, so step back one to keep the token
+    // issued alongside this change valid.
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+      this.passwordResetToken = undefined;
+      this.passwordResetExpires = undefined;
+    }
     next();
   } catch (error) {
     next(error);
@@ -64,10 +131,44 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Start a password reset; returns the token to send the user
+userSchema.methods.createPasswordResetToken = function(minutes) {
+  const token = randomToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+  return token;
+};
+
+// Whether the password changed after a token issued at `issuedAt` (seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  return Boolean(this.passwordChangedAt) && this.passwordChangedAt.getTime() > issuedAt * 1000;
+};
+
+// Accounts created before verification existed have no verification fields.
+// They were trusted to ride then, so treat what they signed up with as verified
+// rather than locking them out. Returns the number of users updated.
+userSchema.statics.backfillVerification = async function() {
+  const email = await this.updateMany(
+    { emailVerified: { $exists: false } },
+    { emailVerified: true }
+  );
+  await this.updateMany(
+    { phoneVerified: { $exists: false }, phone: { $exists: true, $ne: null } },
+    { phoneVerified: true }
+  );
+  await this.updateMany(
+    { phoneVerified: { $exists: false } },
+    { phoneVerified: false }
+  );
+  return email.modifiedCount;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
   return user;
 };
 
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A one-time code sent to confirm a user's email address or phone number.
+// Only the hash of the code is stored.
+const verificationCodeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'phone'],
+    required: [true, 'Channel is required']
+  },
+  // The address the code was sent to; changing it voids the code
+  target: {
+    type: String,
+    required: [true, 'Target is required']
+  },
+  codeHash: {
+    type: String,
+    required: [true, 'Code hash is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  // Wrong guesses against this code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set when the code is used, or replaced by a newer one
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+verificationCodeSchema.index({ userId: 1, channel: 1, createdAt: -1 });
+
+module.exports = mongoose.model('VerificationCode', verificationCodeSchema);
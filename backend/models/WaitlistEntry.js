@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A rider waiting for a cycle to be returned to an empty station.
+// Waiters are served first come, first served by createdAt.
+const waitlistEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  stationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Station ID is required']
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'notified', 'cancelled', 'expired'],
+    default: 'waiting'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+  notifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Hold placed for the rider when they reached the front of the queue
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ stationId: 1, status: 1, createdAt: 1 });
+// A rider can only wait once per station
+waitlistEntrySchema.index(
+  { userId: 1, stationId: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting' } }
+);
+
+// Instance method to get the entry's place in its station's queue (1 is next)
+waitlistEntrySchema.methods.getPosition = async function() {
+  if (this.status !== 'waiting') return null;
+
+  const ahead = await this.constructor.countDocuments({
+    stationId: this.stationId,
+    status: 'waiting',
+    expiresAt: { $gt: new Date() },
+    createdAt: { $lt: this.createdAt }
+  });
+  return ahead + 1;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Transaction = require('./Transaction');
+const { roundMoney } = require('../utils/pricing');
+
+const { ACCOUNTS } = Transaction;
+
+// The other side of the ledger entry for each transaction type
+const COUNTER_ACCOUNTS = {
+  topup: ACCOUNTS.FUNDING,
+  'topup-refund': ACCOUNTS.FUNDING,
+  'ride-charge': ACCOUNTS.RIDE_REVENUE,
+  'pass-purchase': ACCOUNTS.PASS_REVENUE,
+  refund: ACCOUNTS.RIDE_REVENUE,
+  adjustment: ACCOUNTS.ADJUSTMENTS
+};
+
+// Transaction types that may only move money in one direction
+const CREDIT_ONLY = ['topup', 'refund'];
+const DEBIT_ONLY = ['ride-charge', 'pass-purchase', 'topup-refund'];
+
+const walletSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for the ledger account name of this wallet
+walletSchema.virtual('account').get(function() {
+  return `wallet:${this.userId}`;
+});
+
+// Static method to fetch a user's wallet, opening one on first use
+walletSchema.statics.getOrCreate = function(userId) {
+  return this.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+const markDuplicate = (transaction) => {
+  if (transaction) transaction.$locals.duplicate = true;
+  return transaction;
+};
+
+// Static method to post a transaction against a user's wallet.
+// `amount` is signed (credits positive). Posting is idempotent on `reference`:
+// repeating a reference returns the original transaction without moving money,
+// with `$locals.duplicate` set so callers can tell it was not posted now.
+// `counterAccount` overrides the default other side, e.g. `external:<provider>`.
+walletSchema.statics.applyTransaction = async function(userId, {
+  type,
+  amount,
+  reference,
+  externalReference = null,
+  counterAccount,
+  rideId = null,
+  description,
+  createdBy = null,
+  allowNegative = false
+}) {
+  const value = roundMoney(amount);
+
+  if (!COUNTER_ACCOUNTS[type]) {
+    throw new Error(`Unknown transaction type '${type}'`);
+  }
+  if (value === 0 ||
+      (CREDIT_ONLY.includes(type) && value < 0) ||
+      (DEBIT_ONLY.includes(type) && value > 0)) {
+    throw new Error(`Invalid amount ${value} for ${type} transaction`);
+  }
+
+  if (reference) {
+    const existing = await Transaction.findOne({ reference });
+    if (existing) return markDuplicate(existing);
+  }
+
+  const wallet = await this.getOrCreate(userId);
+
+  // Debits check and move the balance in one update so concurrent
+  // charges cannot overdraw the wallet
+  const filter = { _id: wallet._id };
+  if (value < 0 && !allowNegative) {
+    filter.balance = { $gte: -value };
+  }
+
+  const updated = await this.findOneAndUpdate(
+    filter,
+    { $inc: { balance: value } },
+    { new: true }
+  );
+
+  if (!updated) {
+    const error = new Error('Insufficient wallet balance');
+    error.statusCode = 402;
+    throw error;
+  }
+
+  const walletAccount = `wallet:${userId}`;
+  const otherAccount = counterAccount || COUNTER_ACCOUNTS[type];
+
+  try {
+    return await Transaction.create({
+      walletId: wallet._id,
+      userId,
+      type,
+      amount: value,
+      currency: wallet.currency,
+      debitAccount: value > 0 ? otherAccount : walletAccount,
+      creditAccount: value > 0 ? walletAccount : otherAccount,
+      balanceAfter: roundMoney(updated.balance),
+      reference,
+      externalReference,
+      rideId,
+      description,
+      createdBy
+    });
+  } catch (error) {
+    // Undo the balance change; a duplicate reference means another request
+    // posted the same transaction first
+    await this.updateOne({ _id: wallet._id }, { $inc: { balance: -value } });
+
+    if (error.code === 11000 && reference) {
+      return markDuplicate(await Transaction.findOne({ reference }));
+    }
+    throw error;
+  }
+};
+
+// Ensure virtuals are included in JSON output
+walletSchema.set('toJSON', { virtuals: true });
+walletSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -1,10 +1,47 @@
 const express = require('express');
+const { param, query, validationResult } = require('express-validator');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
 const User = require('../models/User');
 const Station = require('../models/Station');
 const Cycle = require('../models/Cycle');
 const Ride = require('../models/Ride');
+const Tariff = require('../models/Tariff');
+const Wallet = require('../models/Wallet');
+const Transaction = require('../models/Transaction');
+const PaymentOrder = require('../models/PaymentOrder');
+const PassPlan = require('../models/PassPlan');
+const Subscription = require('../models/Subscription');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const GeofenceViolation = require('../models/GeofenceViolation');
+const DamageReport = require('../models/DamageReport');
+const ServiceInterval = require('../models/ServiceInterval');
+const RebalancingTask = require('../models/RebalancingTask');
+const CycleMovement = require('../models/CycleMovement');
+const DemandForecast = require('../models/DemandForecast');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const SecurityEvent = require('../models/SecurityEvent');
+const { getProvider } = require('../services/payments');
+const { checkCycleMove, checkDockAvailable } = require('../services/docking');
+const { findOverdueRides, forceCloseRide } = require('../services/overdueRides');
+const { listJobs, runJob } = require('../services/scheduler');
+const { applySeverity } = require('../services/damageReports');
+const { isFitForService, findDueCycles } = require('../services/maintenance');
+const { buildPlan, publishPlan } = require('../services/rebalancing');
+const {
+  startTransfer,
+  dropOffTransfer,
+  cancelTransfer,
+  recordAdjustment,
+  listTransfers
+} = require('../services/transfers');
+const { MAX_HOURS: FORECAST_MAX_HOURS, forecastDemand } = require('../services/forecasting');
+const { notifyWaitlist } = require('../services/waitlist');
+const { notify, retryDelivery } = require('../services/notifications');
+const { revokeUserSessions } = require('../services/sessions');
+const { unlockAccount, listLockouts } = require('../services/loginProtection');
+const { calculateFare, roundMoney } = require('../utils/pricing');
 
 // Apply admin authorization to all routes
 router.use(protect);
@@ -29,11 +66,10 @@ router.get('/dashboard', async (req, res) => {
       startTime: { $gte: today }
     });
 
-    // Get revenue (assuming ₹10 per hour)
+    // Get revenue from the fares stored when rides ended
     const completedRides = await Ride.find({ endTime: { $exists: true } });
     const totalRevenue = completedRides.reduce((sum, ride) => {
-      const durationHours = ride.duration / 60; // Convert minutes to hours
-      return sum + (durationHours * 10); // ₹10 per hour
+      return sum + ((ride.fare && ride.fare.total) || 0);
     }, 0);
 
     // Get recent activity
@@ -78,7 +114,7 @@ router.get('/dashboard', async (req, res) => {
 // Get all stations
 router.get('/stations', async (req, res) => {
   try {
-    const stations = await Station.find();
+    const stations = await Station.find().populate(Station.LIVE_COUNTS);
     res.json({
       success: true,
       data: stations
@@ -95,14 +131,16 @@ router.get('/stations', async (req, res) => {
 // Create new station
 router.post('/stations', async (req, res) => {
   try {
-    const { name, location, description, capacity, coordinates } = req.body;
+    const { name, location, description, capacity, coordinates, geofenceRadius, targetFillLevel } = req.body;
     
     const station = new Station({
       name,
       location,
       description,
       capacity,
-      coordinates
+      coordinates,
+      geofenceRadius,
+      targetFillLevel
     });
 
     await station.save();
@@ -122,9 +160,12 @@ router.post('/stations', async (req, res) => {
 // Update station
 router.put('/stations/:id', async (req, res) => {
   try {
+    // The GeoJSON point is derived from coordinates
+    const { geoLocation, ...updateData } = req.body;
+
     const station = await Station.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updateData,
       { new: true, runValidators: true }
     );
 
@@ -195,6 +236,16 @@ router.get('/cycles', async (req, res) => {
 router.post('/cycles', async (req, res) => {
   try {
     const { cycleId, model, color, condition, stationId } = req.body;
+
+    const full = await checkCycleMove(null, stationId);
+    if (full) {
+      return res.status(409).json({
+        success: false,
+        code: 'STATION_FULL',
+        message: `${full.station.name} is full`,
+        data: full
+      });
+    }
     
     const cycle = new Cycle({
       cycleId,
@@ -221,6 +272,26 @@ router.post('/cycles', async (req, res) => {
 // Update cycle
 router.put('/cycles/:id', async (req, res) => {
   try {
+    const current = await Cycle.findById(req.params.id);
+
+    // Transfers own the in-transit state; see /transfers
+    if ((current && current.status === 'in-transit') || req.body.status === 'in-transit') {
+      return res.status(409).json({
+        success: false,
+        message: 'Cycles in transit are managed through their transfer'
+      });
+    }
+
+    const full = current && await checkCycleMove(current, req.body.stationId);
+    if (full) {
+      return res.status(409).json({
+        success: false,
+        code: 'STATION_FULL',
+        message: `${full.station.name} is full`,
+        data: full
+      });
+    }
+
     const cycle = await Cycle.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -234,6 +305,11 @@ router.put('/cycles/:id', async (req, res) => {
       });
     }
 
+    if (req.body.stationId && String(current.stationId) !== String(cycle.stationId)) {
+      await recordAdjustment(current, cycle.stationId, { movedBy: req.user._id });
+    }
+    if (cycle.status === 'available') notifyWaitlist(cycle.stationId);
+
     res.json({
       success: true,
       data: cycle
@@ -294,6 +370,14 @@ router.get('/users', async (req, res) => {
 router.put('/users/:id', async (req, res) => {
   try {
     const { password, ...updateData } = req.body;
+
+    const previous = await User.findById(req.params.id).select('role isActive');
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
     
     const user = await User.findByIdAndUpdate(
       req.params.id,
@@ -308,6 +392,15 @@ router.put('/users/:id', async (req, res) => {
       });
     }
 
+    // Tell the user about changes to their access
+    if (user.role !== previous.role) {
+      notify(user._id, 'role-changed', { role: user.role });
+    }
+    if (previous.isActive && !user.isActive) {
+      await revokeUserSessions(user._id, 'deactivated');
+      notify(user._id, 'account-deactivated');
+    }
+
     res.json({
       success: true,
       data: user
@@ -337,6 +430,9 @@ router.delete('/users/:id', async (req, res) => {
       });
     }
 
+    await revokeUserSessions(user._id, 'deactivated');
+    notify(user._id, 'account-deactivated');
+
     res.json({
       success: true,
       message: 'User deactivated successfully'
@@ -350,6 +446,1766 @@ router.delete('/users/:id', async (req, res) => {
   }
 });
 
+// Lift a login lockout on a user's account
+router.post('/users/:id/unlock', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const unlocked = await unlockAccount(user, { unlockedBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: unlocked ? 'Account unlocked' : 'Account was not locked',
+      data: { unlocked }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account',
+      error: error.message
+    });
+  }
+});
+
+// ==================== TARIFF MANAGEMENT ====================
+// Get all tariffs
+router.get('/tariffs', async (req, res) => {
+  try {
+    const tariffs = await Tariff.find().sort({ effectiveFrom: -1 });
+    const activeTariff = await Tariff.getActive();
+
+    res.json({
+      success: true,
+      data: tariffs,
+      activeTariffId: activeTariff ? activeTariff._id : null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tariffs',
+      error: error.message
+    });
+  }
+});
+
+// Preview the fare a tariff would charge
+router.get('/tariffs/quote', async (req, res) => {
+  try {
+    const tariff = req.query.tariffId
+      ? await Tariff.findById(req.query.tariffId)
+      : await Tariff.getActive();
+
+    const fare = calculateFare(tariff, {
+      durationMinutes: parseInt(req.query.duration) || 0,
+      role: req.query.role || 'user',
+      chargedToday: parseFloat(req.query.chargedToday) || 0
+    });
+
+    res.json({
+      success: true,
+      data: fare
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error calculating fare',
+      error: error.message
+    });
+  }
+});
+
+// Create new tariff
+router.post('/tariffs', async (req, res) => {
+  try {
+    const tariff = new Tariff({
+      ...req.body,
+      createdBy: req.user._id
+    });
+
+    await tariff.save();
+    res.status(201).json({
+      success: true,
+      data: tariff
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating tariff',
+      error: error.message
+    });
+  }
+});
+
+// Update tariff
+router.put('/tariffs/:id', async (req, res) => {
+  try {
+    const { createdBy, ...updateData } = req.body;
+
+    const tariff = await Tariff.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!tariff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tariff not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tariff
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating tariff',
+      error: error.message
+    });
+  }
+});
+
+// Delete tariff (soft delete, past rides keep a reference to it)
+router.delete('/tariffs/:id', async (req, res) => {
+  try {
+    const tariff = await Tariff.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!tariff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tariff not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tariff deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating tariff',
+      error: error.message
+    });
+  }
+});
+
+// ==================== WALLET MANAGEMENT ====================
+// Get a user's wallet and recent transactions
+router.get('/wallets/:userId', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name email role');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wallet = await Wallet.getOrCreate(user._id);
+    const transactions = await Transaction.find({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        wallet,
+        transactions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching wallet',
+      error: error.message
+    });
+  }
+});
+
+// Post a top-up, refund or adjustment to a user's wallet
+router.post('/wallets/:userId/transactions', async (req, res) => {
+  try {
+    const { type, amount, description, rideId } = req.body;
+    const value = parseFloat(amount);
+
+    if (!['topup', 'refund', 'adjustment'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be one of topup, refund or adjustment'
+      });
+    }
+
+    if (!value || (type !== 'adjustment' && value < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid amount is required'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Refunds are tied to a ride and cannot exceed what its wallet was
+    // actually charged; estimated fares on old rides were never charged
+    let reference;
+    if (type === 'refund') {
+      const ride = rideId && await Ride.findOne({ _id: rideId, userId: user._id });
+      if (!ride) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refunds require a ride belonging to this user'
+        });
+      }
+
+      const charge = await Transaction.findOne({ reference: `ride:${ride._id}`, type: 'ride-charge' });
+      if (!charge) {
+        return res.status(400).json({
+          success: false,
+          message: 'This ride was never charged to the wallet, so there is nothing to refund'
+        });
+      }
+
+      // Partial refunds add up; together they cannot exceed the charge
+      const charged = roundMoney(-charge.amount);
+      const earlier = await Transaction.find({ type: 'refund', rideId: ride._id }).select('amount');
+      const refunded = roundMoney(earlier.reduce((sum, refund) => sum + refund.amount, 0));
+      if (roundMoney(refunded + value) > charged) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refunds cannot exceed what the ride was charged',
+          charged,
+          refunded
+        });
+      }
+
+      // Each refund takes the next number, so two posted at once cannot both
+      // pass the charge check: the second finds its number taken
+      reference = `refund:ride:${ride._id}:${earlier.length + 1}`;
+    }
+
+    const transaction = await Wallet.applyTransaction(user._id, {
+      type,
+      amount: value,
+      reference,
+      rideId: rideId || null,
+      description,
+      createdBy: req.user._id
+    });
+
+    if (transaction.$locals.duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another refund for this ride was posted at the same time; check its refunds and try again',
+        data: transaction
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: transaction
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Error posting wallet transaction',
+      error: error.message
+    });
+  }
+});
+
+// ==================== PAYMENTS ====================
+// Get payment orders
+router.get('/payments', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.userId) filter.userId = req.query.userId;
+
+    const orders = await PaymentOrder.find(filter)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 100);
+
+    res.json({
+      success: true,
+      data: orders
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payments',
+      error: error.message
+    });
+  }
+});
+
+// Refund a paid top-up back to the rider's card/UPI
+router.post('/payments/:id/refund', async (req, res) => {
+  try {
+    const order = await PaymentOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment order not found'
+      });
+    }
+
+    const amount = parseFloat(req.body.amount) || order.amount - order.refundedAmount;
+    if (order.status !== 'paid' || amount <= 0 || order.refundedAmount + amount > order.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment cannot be refunded for this amount'
+      });
+    }
+
+    // Take the money out of the wallet first so it cannot be spent twice
+    const refundNumber = order.refunds.length + 1;
+    const transaction = await Wallet.applyTransaction(order.userId, {
+      type: 'topup-refund',
+      amount: -amount,
+      reference: `payment:${order._id}:refund:${refundNumber}`,
+      counterAccount: `external:${order.provider}`,
+      externalReference: order.providerPaymentId,
+      description: req.body.reason || 'Top-up refunded',
+      createdBy: req.user._id
+    });
+
+    // Another refund of this order took the same number first; refunding the
+    // card now would pay out without a matching wallet debit
+    if (transaction.$locals.duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another refund for this payment was posted at the same time; check its refunds and try again'
+      });
+    }
+
+    let providerRefund;
+    try {
+      providerRefund = await getProvider(order.provider).refund({
+        providerPaymentId: order.providerPaymentId,
+        amount,
+        reason: req.body.reason
+      });
+    } catch (error) {
+      await Wallet.applyTransaction(order.userId, {
+        type: 'adjustment',
+        amount,
+        reference: `payment:${order._id}:refund:${refundNumber}:reversal`,
+        description: 'Failed top-up refund reversed',
+        createdBy: req.user._id
+      });
+      throw error;
+    }
+
+    // Record the refund in the slot its number claimed
+    let updated = await PaymentOrder.findOneAndUpdate(
+      { _id: order._id, refunds: { $size: refundNumber - 1 } },
+      {
+        $inc: { refundedAmount: amount },
+        $push: {
+          refunds: {
+            providerRefundId: providerRefund.providerRefundId,
+            amount,
+            reason: req.body.reason
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new Error(`Refund ${providerRefund.providerRefundId} was processed but could not be recorded on the order`);
+    }
+    if (updated.refundedAmount >= updated.amount) {
+      updated = await PaymentOrder.findByIdAndUpdate(order._id, { status: 'refunded' }, { new: true });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        order: updated,
+        transaction
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Error refunding payment',
+      error: error.message
+    });
+  }
+});
+
+// ==================== PASSES ====================
+// Get all pass plans
+router.get('/passes/plans', async (req, res) => {
+  try {
+    const plans = await PassPlan.find().sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      data: plans
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pass plans',
+      error: error.message
+    });
+  }
+});
+
+// Create new pass plan
+router.post('/passes/plans', async (req, res) => {
+  try {
+    const plan = new PassPlan(req.body);
+
+    await plan.save();
+    res.status(201).json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating pass plan',
+      error: error.message
+    });
+  }
+});
+
+// Update pass plan (existing subscriptions keep the terms they bought)
+router.put('/passes/plans/:id', [
+  param('id').isMongoId().withMessage('Invalid pass plan ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const plan = await PassPlan.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pass plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating pass plan',
+      error: error.message
+    });
+  }
+});
+
+// Delete pass plan (soft delete)
+router.delete('/passes/plans/:id', [
+  param('id').isMongoId().withMessage('Invalid pass plan ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const plan = await PassPlan.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pass plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Pass plan deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating pass plan',
+      error: error.message
+    });
+  }
+});
+
+// Get riders with a pass currently in force
+router.get('/passes/subscribers', [
+  query('planId').optional().isMongoId().withMessage('Invalid pass plan ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const now = new Date();
+    const filter = {
+      status: 'active',
+      startDate: { $lte: now },
+      endDate: { $gt: now }
+    };
+    if (req.query.planId) filter.planId = req.query.planId;
+
+    const subscriptions = await Subscription.find(filter)
+      .populate('userId', 'name email role')
+      .populate('planId', 'name code period')
+      .sort({ endDate: 1 });
+
+    const byPlan = subscriptions.reduce((acc, subscription) => {
+      const code = subscription.planId ? subscription.planId.code : 'UNKNOWN';
+      acc[code] = (acc[code] || 0) + 1;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      data: {
+        total: subscriptions.length,
+        byPlan,
+        subscriptions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching subscribers',
+      error: error.message
+    });
+  }
+});
+
+// ==================== PROMO CODES ====================
+// Summarise redemptions per promo code
+const getPromoStats = async (match = {}) => {
+  const stats = await PromoRedemption.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { promoId: '$promoId', status: '$status' },
+        count: { $sum: 1 },
+        totalDiscount: { $sum: '$discountAmount' },
+        totalFreeMinutes: { $sum: '$freeMinutes' },
+        riders: { $addToSet: '$userId' }
+      }
+    }
+  ]);
+
+  return stats.reduce((acc, row) => {
+    const id = row._id.promoId.toString();
+    if (!acc[id]) {
+      acc[id] = { pending: 0, redeemed: 0, cancelled: 0, totalDiscount: 0, totalFreeMinutes: 0, uniqueRiders: 0 };
+    }
+    acc[id][row._id.status] = row.count;
+    if (row._id.status === 'redeemed') {
+      acc[id].totalDiscount = Math.round(row.totalDiscount * 100) / 100;
+      acc[id].totalFreeMinutes = row.totalFreeMinutes;
+      acc[id].uniqueRiders = row.riders.length;
+    }
+    return acc;
+  }, {});
+};
+
+// Get all promo codes with redemption stats
+router.get('/promos', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.campaign) filter.campaign = req.query.campaign;
+    if (req.query.active) filter.isActive = req.query.active === 'true';
+
+    const promos = await PromoCode.find(filter).sort({ createdAt: -1 });
+    const stats = await getPromoStats({ promoId: { $in: promos.map(promo => promo._id) } });
+
+    res.json({
+      success: true,
+      data: promos.map(promo => ({
+        ...promo.toObject(),
+        stats: stats[promo._id.toString()] || { pending: 0, redeemed: 0, cancelled: 0, totalDiscount: 0, totalFreeMinutes: 0, uniqueRiders: 0 }
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promo codes',
+      error: error.message
+    });
+  }
+});
+
+// Get a promo code with its redemptions
+router.get('/promos/:id', async (req, res) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id);
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const stats = await getPromoStats({ promoId: promo._id });
+    const redemptions = await PromoRedemption.find({ promoId: promo._id })
+      .populate('userId', 'name email')
+      .populate('rideId', 'startTime endTime duration fare.total')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 100);
+
+    res.json({
+      success: true,
+      data: {
+        promo,
+        stats: stats[promo._id.toString()] || { pending: 0, redeemed: 0, cancelled: 0, totalDiscount: 0, totalFreeMinutes: 0, uniqueRiders: 0 },
+        redemptions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promo code',
+      error: error.message
+    });
+  }
+});
+
+// Create new promo code
+router.post('/promos', async (req, res) => {
+  try {
+    const { redemptionCount, ...promoData } = req.body;
+    const promo = new PromoCode({
+      ...promoData,
+      createdBy: req.user._id
+    });
+
+    await promo.save();
+    res.status(201).json({
+      success: true,
+      data: promo
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating promo code',
+      error: error.message
+    });
+  }
+});
+
+// Update promo code
+router.put('/promos/:id', async (req, res) => {
+  try {
+    const { redemptionCount, createdBy, ...updateData } = req.body;
+
+    const promo = await PromoCode.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promo
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating promo code',
+      error: error.message
+    });
+  }
+});
+
+// Delete promo code (soft delete, redemptions are kept for reporting)
+router.delete('/promos/:id', async (req, res) => {
+  try {
+    const promo = await PromoCode.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promo code deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating promo code',
+      error: error.message
+    });
+  }
+});
+
+// ==================== DAMAGE REPORTS ====================
+// Get damage reports, newest first
+router.get('/damage-reports', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.severity) filter.severity = req.query.severity;
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.cycleId) filter.cycleId = req.query.cycleId;
+
+    const reports = await DamageReport.find(filter)
+      .populate('cycleId', 'cycleId model status')
+      .populate('userId', 'name email')
+      .populate('stationId', 'name location')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await DamageReport.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching damage reports',
+      error: error.message
+    });
+  }
+});
+
+// Get a cycle's damage reports with counts by status
+router.get('/cycles/:id/damage-reports', async (req, res) => {
+  try {
+    const cycle = await Cycle.findById(req.params.id).select('cycleId model status condition');
+    if (!cycle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle not found'
+      });
+    }
+
+    const reports = await DamageReport.find({ cycleId: cycle._id })
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 });
+
+    const summary = reports.reduce((counts, report) => {
+      counts[report.status] = (counts[report.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      success: true,
+      data: {
+        cycle,
+        summary,
+        reports
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cycle damage reports',
+      error: error.message
+    });
+  }
+});
+
+// Triage a damage report. Set returnToService to make the cycle available
+// again once no serious reports are left open.
+router.put('/damage-reports/:id', async (req, res) => {
+  try {
+    const { status, severity, adminNotes, returnToService } = req.body;
+
+    const report = await DamageReport.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Damage report not found'
+      });
+    }
+
+    if (status !== undefined) report.status = status;
+    if (severity !== undefined) report.severity = severity;
+    if (adminNotes !== undefined) report.adminNotes = adminNotes;
+    report.triagedBy = req.user._id;
+    report.triagedAt = new Date();
+    await report.save();
+
+    const cycle = await Cycle.findById(report.cycleId);
+    let cycleStatus = cycle ? cycle.status : null;
+
+    if (cycle && ['open', 'acknowledged'].includes(report.status)) {
+      // Raising the severity can take the cycle out of service
+      if (await applySeverity(report, cycle)) cycleStatus = 'maintenance';
+    } else if (cycle && returnToService === true && cycle.status === 'maintenance') {
+      if (await isFitForService(cycle._id)) {
+        cycle.lastMaintenance = new Date();
+        await cycle.updateStatus('available');
+        cycleStatus = 'available';
+        notifyWaitlist(cycle.stationId);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        cycleStatus
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating damage report',
+      error: error.message
+    });
+  }
+});
+
+// ==================== PREVENTIVE MAINTENANCE ====================
+// Get cycles due for service (?upcoming=true also lists cycles nearly due)
+router.get('/maintenance/due', async (req, res) => {
+  try {
+    const minRatio = req.query.upcoming === 'true'
+      ? parseFloat(process.env.SERVICE_UPCOMING_RATIO) || 0.9
+      : 1;
+    const due = await findDueCycles({ minRatio });
+
+    res.json({
+      success: true,
+      count: due.length,
+      data: due.map(({ cycle, interval, ratio, progress, due: isDue, pastHardLimit }) => ({
+        cycle,
+        intervalId: interval._id,
+        cycleModel: interval.cycleModel,
+        ratio,
+        progress,
+        due: isDue,
+        pastHardLimit
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cycles due for service',
+      error: error.message
+    });
+  }
+});
+
+// Get service intervals
+router.get('/maintenance/intervals', async (req, res) => {
+  try {
+    const intervals = await ServiceInterval.find().sort({ cycleModel: 1 });
+    res.json({
+      success: true,
+      data: intervals
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching service intervals',
+      error: error.message
+    });
+  }
+});
+
+// Create service interval for a cycle model ('*' for all other models)
+router.post('/maintenance/intervals', async (req, res) => {
+  try {
+    const interval = await ServiceInterval.create({
+      ...req.body,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: interval
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating service interval',
+      error: error.message
+    });
+  }
+});
+
+// Update service interval
+router.put('/maintenance/intervals/:id', async (req, res) => {
+  try {
+    const interval = await ServiceInterval.findById(req.params.id);
+    if (!interval) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service interval not found'
+      });
+    }
+
+    const { createdBy, ...updateData } = req.body;
+    interval.set(updateData);
+    await interval.save();
+
+    res.json({
+      success: true,
+      data: interval
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating service interval',
+      error: error.message
+    });
+  }
+});
+
+// Delete service interval
+router.delete('/maintenance/intervals/:id', async (req, res) => {
+  try {
+    const interval = await ServiceInterval.findByIdAndDelete(req.params.id);
+
+    if (!interval) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service interval not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service interval deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting service interval',
+      error: error.message
+    });
+  }
+});
+
+// ==================== OVERDUE RIDES ====================
+// Get active rides past the maximum ride length (?abandoned=true for escalated ones)
+router.get('/rides/overdue', async (req, res) => {
+  try {
+    const overdue = await findOverdueRides({ abandonedOnly: req.query.abandoned === 'true' });
+
+    res.json({
+      success: true,
+      count: overdue.length,
+      data: overdue
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching overdue rides',
+      error: error.message
+    });
+  }
+});
+
+// Force-close an active ride; without a station the cycle is marked lost
+router.post('/rides/:id/force-close', async (req, res) => {
+  try {
+    const { reason, stationId, lostCycle } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+
+    if (!stationId && lostCycle !== true) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give the station the cycle was returned to, or set lostCycle to true'
+      });
+    }
+
+    if (stationId) {
+      const station = await Station.findById(stationId);
+      if (!station) {
+        return res.status(404).json({
+          success: false,
+          message: 'Station not found'
+        });
+      }
+
+      const full = await checkDockAvailable(station);
+      if (full) {
+        return res.status(409).json({
+          success: false,
+          code: 'STATION_FULL',
+          message: `${station.name} is full`,
+          data: full
+        });
+      }
+    }
+
+    const ride = await forceCloseRide(req.params.id, {
+      reason: reason.trim(),
+      closedBy: req.user._id,
+      stationId: stationId || null
+    });
+    notifyWaitlist(stationId);
+
+    res.json({
+      success: true,
+      message: 'Ride closed successfully',
+      data: ride
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error closing ride',
+      error: error.message
+    });
+  }
+});
+
+// Put a recovered lost cycle back at a station, pending a maintenance check
+router.post('/cycles/:id/recover', async (req, res) => {
+  try {
+    const cycle = await Cycle.findOne({ _id: req.params.id, status: 'lost' });
+    if (!cycle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lost cycle not found'
+      });
+    }
+
+    const station = await Station.findById(req.body.stationId);
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const full = await checkDockAvailable(station);
+    if (full) {
+      return res.status(409).json({
+        success: false,
+        code: 'STATION_FULL',
+        message: `${station.name} is full`,
+        data: full
+      });
+    }
+
+    cycle.stationId = station._id;
+    await cycle.updateStatus('maintenance');
+
+    res.json({
+      success: true,
+      message: 'Cycle recovered and sent for maintenance',
+      data: cycle
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error recovering cycle',
+      error: error.message
+    });
+  }
+});
+
+// ==================== SCHEDULED JOBS ====================
+// Get background job status
+router.get('/jobs', async (req, res) => {
+  res.json({
+    success: true,
+    data: listJobs()
+  });
+});
+
+// Run a background job now
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    const result = await runJob(req.params.name);
+
+    if (result === null) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error running job',
+      error: error.message
+    });
+  }
+});
+
+// ==================== REBALANCING ====================
+// Preview rebalancing recommendations without saving them
+router.get('/rebalancing/plan', async (req, res) => {
+  try {
+    const plan = await buildPlan();
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error building rebalancing plan',
+      error: error.message
+    });
+  }
+});
+
+// Publish a new plan as tasks for staff; pending tasks from older plans are cancelled
+router.post('/rebalancing/plan', async (req, res) => {
+  try {
+    const plan = await publishPlan({ createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: `${plan.tasks.length} rebalancing tasks created`,
+      data: plan
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error publishing rebalancing plan',
+      error: error.message
+    });
+  }
+});
+
+// Get rebalancing tasks (pending by default), most urgent first
+router.get('/rebalancing/tasks', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = { status: req.query.status || 'pending' };
+
+    const tasks = await RebalancingTask.find(filter)
+      .populate('fromStation', 'name location')
+      .populate('toStation', 'name location')
+      .populate('completedBy', 'name email')
+      .sort({ score: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await RebalancingTask.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: tasks,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rebalancing tasks',
+      error: error.message
+    });
+  }
+});
+
+// Mark a rebalancing task done, recording how many cycles were actually moved
+router.post('/rebalancing/tasks/:id/complete', async (req, res) => {
+  try {
+    const task = await RebalancingTask.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rebalancing task not found'
+      });
+    }
+
+    if (task.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Task is already ${task.status}`
+      });
+    }
+
+    const movedCount = req.body.movedCount !== undefined
+      ? parseInt(req.body.movedCount)
+      : task.quantity;
+    if (isNaN(movedCount) || movedCount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Moved count must be a whole number of at least 0'
+      });
+    }
+
+    task.status = 'done';
+    task.movedCount = movedCount;
+    task.notes = req.body.notes;
+    task.completedBy = req.user._id;
+    task.completedAt = new Date();
+    await task.save();
+
+    res.json({
+      success: true,
+      message: 'Rebalancing task completed',
+      data: task
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error completing rebalancing task',
+      error: error.message
+    });
+  }
+});
+
+// Cancel a rebalancing task that is no longer needed
+router.post('/rebalancing/tasks/:id/cancel', async (req, res) => {
+  try {
+    const task = await RebalancingTask.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'cancelled', notes: req.body.notes, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending rebalancing task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rebalancing task cancelled',
+      data: task
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling rebalancing task',
+      error: error.message
+    });
+  }
+});
+
+// ==================== CYCLE TRANSFERS ====================
+// Get transfers (?status=in-transit or closed), newest first
+router.get('/transfers', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { transfers, total } = await listTransfers({
+      status: req.query.status,
+      skip: (page - 1) * limit,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: transfers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transfers',
+      error: error.message
+    });
+  }
+});
+
+// Get the cycles in one transfer
+router.get('/transfers/:number', async (req, res) => {
+  try {
+    const movements = await CycleMovement.find({ transferNumber: req.params.number })
+      .populate('cycleId', 'cycleId model status')
+      .populate('fromStation', 'name location')
+      .populate('toStation', 'name location')
+      .populate('deliveredTo', 'name location')
+      .populate('pickedUpBy', 'name email')
+      .populate('droppedOffBy', 'name email');
+
+    if (movements.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: movements
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transfer',
+      error: error.message
+    });
+  }
+});
+
+// Pick up cycles for a move; they stay in transit until dropped off
+router.post('/transfers', async (req, res) => {
+  try {
+    const movements = await startTransfer({
+      cycleIds: req.body.cycleIds,
+      toStationId: req.body.toStation,
+      rebalancingTaskId: req.body.rebalancingTaskId,
+      movedBy: req.user._id,
+      notes: req.body.notes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${movements.length} cycles picked up`,
+      data: {
+        transferNumber: movements[0].transferNumber,
+        movements
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      code: error.code,
+      message: 'Error starting transfer',
+      error: error.message,
+      data: error.details
+    });
+  }
+});
+
+// Drop off a transfer's cycles at its destination, or another station
+router.post('/transfers/:number/drop-off', async (req, res) => {
+  try {
+    const movements = await dropOffTransfer(req.params.number, {
+      stationId: req.body.stationId,
+      cycleIds: req.body.cycleIds,
+      droppedOffBy: req.user._id
+    });
+    if (movements.length) notifyWaitlist(movements[0].deliveredTo);
+
+    res.json({
+      success: true,
+      message: `${movements.length} cycles dropped off`,
+      data: movements
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      code: error.code,
+      message: 'Error dropping off transfer',
+      error: error.message,
+      data: error.details
+    });
+  }
+});
+
+// Return a transfer's cycles to the stations they came from
+router.post('/transfers/:number/cancel', async (req, res) => {
+  try {
+    const movements = await cancelTransfer(req.params.number, {
+      cycleIds: req.body.cycleIds,
+      cancelledBy: req.user._id,
+      notes: req.body.notes
+    });
+    [...new Set(movements.map(movement => String(movement.fromStation)))].forEach(notifyWaitlist);
+
+    res.json({
+      success: true,
+      message: `${movements.length} cycles returned`,
+      data: movements
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      code: error.code,
+      message: 'Error cancelling transfer',
+      error: error.message,
+      data: error.details
+    });
+  }
+});
+
+// Get a cycle's movement history
+router.get('/cycles/:id/movements', async (req, res) => {
+  try {
+    const movements = await CycleMovement.find({ cycleId: req.params.id })
+      .populate('fromStation', 'name location')
+      .populate('toStation', 'name location')
+      .populate('deliveredTo', 'name location')
+      .populate('pickedUpBy', 'name email')
+      .populate('droppedOffBy', 'name email')
+      .sort({ pickedUpAt: -1 })
+      .limit(parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      count: movements.length,
+      data: movements
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cycle movements',
+      error: error.message
+    });
+  }
+});
+
+// ==================== DEMAND FORECAST ====================
+// Get predicted pickups, drop-offs and stock-outs per station
+// (?start=ISO date&hours=24&stationId=), most at risk first
+router.get('/forecast/demand', async (req, res) => {
+  try {
+    const start = req.query.start ? new Date(req.query.start) : undefined;
+    const hours = req.query.hours !== undefined ? parseInt(req.query.hours) : 24;
+
+    if (start && isNaN(start.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start must be a valid date'
+      });
+    }
+
+    if (isNaN(hours) || hours < 1 || hours > FORECAST_MAX_HOURS) {
+      return res.status(400).json({
+        success: false,
+        message: `Hours must be between 1 and ${FORECAST_MAX_HOURS}`
+      });
+    }
+
+    const forecast = await forecastDemand({
+      start,
+      hours,
+      stationId: req.query.stationId
+    });
+
+    res.json({
+      success: true,
+      data: forecast
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error forecasting demand',
+      error: error.message
+    });
+  }
+});
+
+// Get a station's learned hour-of-week pickup and drop-off rates
+router.get('/forecast/stations/:id', async (req, res) => {
+  try {
+    const forecast = await DemandForecast.findOne({ stationId: req.params.id })
+      .populate('stationId', 'name location capacity');
+
+    if (!forecast) {
+      return res.status(404).json({
+        success: false,
+        message: 'No forecast for this station yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: forecast
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching station forecast',
+      error: error.message
+    });
+  }
+});
+
+// ==================== NOTIFICATIONS ====================
+// Get outbound notification deliveries, e.g. ?status=failed
+router.get('/notifications/deliveries', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.channel) filter.channel = req.query.channel;
+    if (req.query.userId) filter.userId = req.query.userId;
+
+    const deliveries = await NotificationDelivery.find(filter)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await NotificationDelivery.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notification deliveries',
+      error: error.message
+    });
+  }
+});
+
+// Queue a failed delivery to be sent again
+router.post('/notifications/deliveries/:id/retry', async (req, res) => {
+  try {
+    const delivery = await retryDelivery(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Delivery queued for retry',
+      data: delivery
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error retrying delivery',
+      error: error.message
+    });
+  }
+});
+
+// ==================== SECURITY ====================
+// Get the security log, e.g. ?type=suspicious-ip or ?ip=1.2.3.4
+router.get('/security/events', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.ip) filter.ip = req.query.ip;
+    if (req.query.email) filter.email = req.query.email.toLowerCase();
+    if (req.query.userId) filter.userId = req.query.userId;
+
+    const events = await SecurityEvent.find(filter)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await SecurityEvent.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching security events',
+      error: error.message
+    });
+  }
+});
+
+// Get accounts and IP addresses currently locked out of login
+router.get('/security/lockouts', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listLockouts()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching lockouts',
+      error: error.message
+    });
+  }
+});
+
+// ==================== GEOFENCE ====================
+// Get out-of-zone ride end attempts
+router.get('/geofence/violations', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.userId) filter.userId = req.query.userId;
+    if (req.query.stationId) filter.stationId = req.query.stationId;
+    if (req.query.overridden !== undefined) filter.overridden = req.query.overridden === 'true';
+
+    const violations = await GeofenceViolation.find(filter)
+      .populate('userId', 'name email')
+      .populate('stationId', 'name location')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await GeofenceViolation.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: violations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching geofence violations',
+      error: error.message
+    });
+  }
+});
+
+// Let a rider end an active ride away from a station for a limited time
+router.post('/rides/:id/geofence-override', async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const minutes = parseInt(req.body.minutes) || 15;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+
+    const ride = await Ride.findOneAndUpdate(
+      { _id: req.params.id, status: 'active' },
+      {
+        geofenceOverride: {
+          grantedBy: req.user._id,
+          reason: reason.trim(),
+          expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+        }
+      },
+      { new: true }
+    );
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active ride not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Rider can end this ride anywhere for the next ${minutes} minutes`,
+      data: ride
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error granting geofence override',
+      error: error.message
+    });
+  }
+});
+
 // ==================== RIDE ANALYTICS ====================
 // Get ride analytics
 router.get('/analytics/rides', async (req, res) => {
@@ -382,8 +2238,7 @@ router.get('/analytics/rides', async (req, res) => {
     const totalRides = rides.length;
     const totalDuration = rides.reduce((sum, ride) => sum + (ride.duration || 0), 0);
     const totalRevenue = rides.reduce((sum, ride) => {
-      const durationHours = (ride.duration || 0) / 60;
-      return sum + (durationHours * 10);
+      return sum + ((ride.fare && ride.fare.total) || 0);
     }, 0);
 
     // Group by date
@@ -441,8 +2296,7 @@ router.get('/reports/comprehensive', async (req, res) => {
 
     // Calculate report data
     const totalRevenue = rides.reduce((sum, ride) => {
-      const durationHours = (ride.duration || 0) / 60;
-      return sum + (durationHours * 10);
+      return sum + ((ride.fare && ride.fare.total) || 0);
     }, 0);
 
     const topUsers = rides.reduce((acc, ride) => {
@@ -457,7 +2311,7 @@ router.get('/reports/comprehensive', async (req, res) => {
       }
       acc[userId].rides++;
       acc[userId].totalDuration += ride.duration || 0;
-      acc[userId].totalSpent += ((ride.duration || 0) / 60) * 10;
+      acc[userId].totalSpent += (ride.fare && ride.fare.total) || 0;
       return acc;
     }, {});
 
@@ -1,29 +1,26 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { protect } = require('../middleware/auth');
+const { notify } = require('../services/notifications');
+const { hashToken } = require('../utils/tokens');
+const { sendCode, verifyCode } = require('../services/verification');
+const {
+  signAccessToken,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+} = require('../services/sessions');
+const { checkLogin, recordFailure, recordSuccess } = require('../services/loginProtection');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  const secret = process.env.JWT_SECRET;
-  
-  if (!secret) {
-    console.error('CRITICAL ERROR: JWT_SECRET environment variable is not defined!');
-    console.error('Please add JWT_SECRET to your .env file');
-    throw new Error('JWT_SECRET is not defined. Please check your environment configuration.');
-  }
-  
-  if (secret.length < 32) {
-    console.warn('WARNING: JWT_SECRET should be at least 32 characters long for security');
-  }
-  
-  return jwt.sign({ id }, secret, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
-};
+// How long a password reset token can be used for
+const RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES) || 30;
+// Page of the app that takes a reset token, e.g. https://app.example.com/reset-password
+const RESET_URL = process.env.PASSWORD_RESET_URL || null;
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -32,7 +29,8 @@ router.post('/register', [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('phone').optional().matches(/^[0-9]{10}$/).withMessage('Please provide a valid 10-digit phone number')
+  body('phone').optional().matches(/^[0-9]{10}$/).withMessage('Please provide a valid 10-digit phone number'),
+  body('deviceName').optional().trim().isLength({ max: 100 }).withMessage('Device name cannot be more than 100 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -44,7 +42,7 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, phone } = req.body;
+    const { name, email, password, phone, deviceName } = req.body;
 
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -64,6 +62,11 @@ router.post('/register', [
     });
 
     if (user) {
+      const tokens = await createSession(user, req, { deviceName });
+      notify(user._id, 'welcome');
+      // A failed send should not fail registration; the user can ask again
+      sendCode(user, 'email').catch(error => console.error('Verification email error:', error));
+
       res.status(201).json({
         success: true,
         data: {
@@ -71,9 +74,11 @@ router.post('/register', [
           name: user.name,
           email: user.email,
           role: user.role,
-          phone: user.phone
+          phone: user.phone,
+          emailVerified: user.emailVerified,
+          phoneVerified: user.phoneVerified
         },
-        token: generateToken(user._id)
+        ...tokens
       });
     }
   } catch (error) {
@@ -99,7 +104,8 @@ router.post('/register', [
 // @access  Public
 router.post('/login', [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
+  body('password').notEmpty().withMessage('Password is required'),
+  body('deviceName').optional().trim().isLength({ max: 100 }).withMessage('Device name cannot be more than 100 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -112,10 +118,15 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const attempt = { email, ip: req.ip, userAgent: req.get('user-agent') || null };
+
+    // Refuse attempts while the account or IP is locked or waiting out a delay
+    await checkLogin(attempt);
 
     // Check for user
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordFailure({ ...attempt, reason: 'unknown-email' });
       return res.status(401).json({ 
         success: false,
         message: 'Invalid credentials' 
@@ -133,12 +144,16 @@ router.post('/login', [
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailure({ ...attempt, userId: user._id, reason: 'wrong-password' });
       return res.status(401).json({ 
         success: false,
         message: 'Invalid credentials' 
       });
     }
 
+    await recordSuccess(attempt);
+    const tokens = await createSession(user, req, { deviceName: req.body.deviceName });
+
     res.json({
       success: true,
       data: {
@@ -146,12 +161,23 @@ router.post('/login', [
         name: user.name,
         email: user.email,
         role: user.role,
-        phone: user.phone
+        phone: user.phone,
+        emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified
       },
-      token: generateToken(user._id)
+      ...tokens
     });
   } catch (error) {
     console.error('Login error:', error);
+
+    if (error.statusCode === 429) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({ 
+        success: false,
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
     
     // Handle JWT_SECRET error specifically
     if (error.message.includes('JWT_SECRET')) {
@@ -168,6 +194,143 @@ router.post('/login', [
   }
 });
 
+// @desc    Swap a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const tokens = await refreshSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while refreshing session' 
+    });
+  }
+});
+
+// @desc    Log out of this device
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while logging out' 
+    });
+  }
+});
+
+// @desc    Log out of every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user._id, 'logout-all');
+
+    res.json({
+      success: true,
+      message: `Logged out of ${count} session(s)`
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while logging out' 
+    });
+  }
+});
+
+// @desc    Get current user's signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while fetching sessions' 
+    });
+  }
+});
+
+// @desc    Sign out one of current user's devices
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const revoked = await revokeSession(req.params.id, 'revoked', { userId: req.user._id });
+    if (!revoked) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Session not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while signing out session' 
+    });
+  }
+});
+
 // @desc    Get current user profile
 // @route   GET /api/auth/me
 // @access  Private
@@ -208,7 +371,12 @@ router.put('/me', protect, [
     const updateFields = {};
 
     if (name) updateFields.name = name;
-    if (phone) updateFields.phone = phone;
+    // A new number has to be verified again
+    if (phone && phone !== req.user.phone) {
+      updateFields.phone = phone;
+      updateFields.phoneVerified = false;
+      updateFields.phoneVerifiedAt = null;
+    }
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -216,6 +384,11 @@ router.put('/me', protect, [
       { new: true, runValidators: true }
     );
 
+    const changed = ['name', 'phone'].filter(field => updateFields[field] !== undefined);
+    if (changed.length) {
+      notify(user._id, 'account-updated', { fields: changed });
+    }
+
     res.json({
       success: true,
       data: user
@@ -229,4 +402,313 @@ router.put('/me', protect, [
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @desc    Verify email address with the code that was emailed
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('code').matches(/^[0-9]{6}$/).withMessage('Please provide the 6-digit code')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+    if (!user) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'No valid code found; request a new one' 
+      });
+    }
+
+    const verified = await verifyCode(user, 'email', req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Email verified',
+      data: {
+        emailVerified: verified.emailVerified,
+        phoneVerified: verified.phoneVerified
+      }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
+        success: false,
+        message: error.message,
+        attemptsLeft: error.attemptsLeft
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while verifying email' 
+    });
+  }
+});
+
+// @desc    Send a new email verification code
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+router.post('/verify-email/resend', protect, async (req, res) => {
+  try {
+    const result = await sendCode(req.user, 'email');
+
+    res.json({
+      success: true,
+      message: 'Verification code sent to your email',
+      data: result
+    });
+  } catch (error) {
+    console.error('Resend email code error:', error);
+    if (error.statusCode) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({ 
+        success: false,
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while sending verification code' 
+    });
+  }
+});
+
+// @desc    Text a verification code to the profile phone number
+// @route   POST /api/auth/verify-phone/send
+// @access  Private
+router.post('/verify-phone/send', protect, async (req, res) => {
+  try {
+    const result = await sendCode(req.user, 'phone');
+
+    res.json({
+      success: true,
+      message: 'Verification code sent to your phone',
+      data: result
+    });
+  } catch (error) {
+    console.error('Send phone code error:', error);
+    if (error.statusCode) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({ 
+        success: false,
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while sending verification code' 
+    });
+  }
+});
+
+// @desc    Verify phone number with the code that was texted
+// @route   POST /api/auth/verify-phone
+// @access  Private
+router.post('/verify-phone', protect, [
+  body('code').matches(/^[0-9]{6}$/).withMessage('Please provide the 6-digit code')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const verified = await verifyCode(req.user, 'phone', req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      data: {
+        emailVerified: verified.emailVerified,
+        phoneVerified: verified.phoneVerified
+      }
+    });
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
+        success: false,
+        message: error.message,
+        attemptsLeft: error.attemptsLeft
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while verifying phone number' 
+    });
+  }
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true }).select('+passwordResetExpires');
+
+    // Send at most one email a minute, so the endpoint can't be used to flood an inbox
+    const recentlySent = user && user.passwordResetExpires &&
+      user.passwordResetExpires.getTime() > Date.now() + (RESET_MINUTES - 1) * 60 * 1000;
+
+    if (user && !recentlySent) {
+      const token = user.createPasswordResetToken(RESET_MINUTES);
+      await user.save({ validateBeforeSave: false });
+
+      notify(user._id, 'password-reset', {
+        token,
+        resetUrl: RESET_URL ? `${RESET_URL}?token=${token}` : null,
+        minutes: RESET_MINUTES
+      });
+    }
+
+    // Same answer whether or not the email is registered
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while requesting password reset' 
+    });
+  }
+});
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    // Use the token up in the same step that finds it, so two requests with
+    // the same token cannot both set a password
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(req.body.token),
+        passwordResetExpires: { $gt: new Date() },
+        isActive: true
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    // Every device is signed out
+    user.password = req.body.password;
+    await user.save();
+    await revokeUserSessions(user._id, 'password-change');
+    const tokens = await createSession(user, req);
+    notify(user._id, 'password-changed');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset',
+      data: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone
+      },
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while resetting password' 
+    });
+  }
+});
+
+// @desc    Change password
+// @route   POST /api/auth/change-password
+// @access  Private
+router.post('/change-password', protect, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Current password is incorrect' 
+      });
+    }
+
+    // Other devices are signed out; this one gets a fresh access token
+    user.password = req.body.newPassword;
+    await user.save();
+    await revokeUserSessions(user._id, 'password-change', { except: req.sessionId });
+    notify(user._id, 'password-changed');
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token: signAccessToken(user._id, req.sessionId)
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while changing password' 
+    });
+  }
+});
+
+module.exports = router;
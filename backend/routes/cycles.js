@@ -2,6 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Cycle = require('../models/Cycle');
 const Station = require('../models/Station');
+const { checkCycleMove } = require('../services/docking');
+const { recordAdjustment } = require('../services/transfers');
+const { notifyWaitlist } = require('../services/waitlist');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -100,6 +103,17 @@ router.post('/', protect, authorize('admin'), [
       });
     }
 
+    // Check the station has a free dock
+    const full = await checkCycleMove(null, station._id);
+    if (full) {
+      return res.status(409).json({ 
+        success: false,
+        code: 'STATION_FULL',
+        message: `${full.station.name} is full`,
+        data: full
+      });
+    }
+
     const cycle = await Cycle.create(req.body);
 
     res.status(201).json({
@@ -122,7 +136,7 @@ router.put('/:id', protect, authorize('admin'), [
   body('model').optional().trim().notEmpty().withMessage('Cycle model cannot be empty'),
   body('color').optional().trim(),
   body('condition').optional().isIn(['excellent', 'good', 'fair', 'poor']).withMessage('Invalid condition value'),
-  body('status').optional().isIn(['available', 'in-use', 'maintenance', 'out-of-service']).withMessage('Invalid status value')
+  body('status').optional().isIn(['available', 'in-use', 'maintenance', 'out-of-service', 'lost']).withMessage('Invalid status value')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -134,6 +148,29 @@ router.put('/:id', protect, authorize('admin'), [
       });
     }
 
+    const current = await Cycle.findById(req.params.id);
+
+    // Transfers own the in-transit state; see /api/admin/transfers
+    if (current && current.status === 'in-transit') {
+      return res.status(409).json({ 
+        success: false,
+        message: 'Cycles in transit are managed through their transfer' 
+      });
+    }
+
+    // Moving the cycle to another station needs a free dock there
+    if (req.body.stationId) {
+      const full = current && await checkCycleMove(current, req.body.stationId);
+      if (full) {
+        return res.status(409).json({ 
+          success: false,
+          code: 'STATION_FULL',
+          message: `${full.station.name} is full`,
+          data: full
+        });
+      }
+    }
+
     const cycle = await Cycle.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -147,6 +184,11 @@ router.put('/:id', protect, authorize('admin'), [
       });
     }
 
+    if (req.body.stationId && String(current.stationId) !== String(cycle.stationId)) {
+      await recordAdjustment(current, cycle.stationId, { movedBy: req.user._id });
+    }
+    if (cycle.status === 'available') notifyWaitlist(cycle.stationId);
+
     res.json({
       success: true,
       data: cycle
@@ -245,8 +287,16 @@ router.patch('/:id/status', protect, authorize('admin'), [
       });
     }
 
+    if (cycle.status === 'in-transit') {
+      return res.status(409).json({ 
+        success: false,
+        message: 'Cycles in transit are managed through their transfer' 
+      });
+    }
+
     cycle.status = req.body.status;
     await cycle.save();
+    if (cycle.status === 'available') notifyWaitlist(cycle.stationId);
 
     res.json({
       success: true,
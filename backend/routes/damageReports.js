@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Cycle = require('../models/Cycle');
+const Ride = require('../models/Ride');
+const DamageReport = require('../models/DamageReport');
+const {
+  MAX_PHOTOS,
+  MAX_PHOTO_MB,
+  savePhotos,
+  readPhoto,
+  removePhotos,
+  applySeverity
+} = require('../services/damageReports');
+const { protect } = require('../middleware/auth');
+const { uploadImages } = require('../middleware/upload');
+
+const router = express.Router();
+
+// A report filed this soon after a ride on the cycle ended is linked to that ride
+const RIDE_END_WINDOW_MINUTES = parseInt(process.env.DAMAGE_REPORT_RIDE_WINDOW_MINUTES) || 15;
+
+// @desc    Get report categories
+// @route   GET /api/damage-reports/categories
+// @access  Public
+router.get('/categories', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      categories: DamageReport.CATEGORIES,
+      severities: DamageReport.SEVERITIES,
+      maxPhotos: MAX_PHOTOS,
+      maxPhotoMb: MAX_PHOTO_MB
+    }
+  });
+});
+
+// @desc    Report a problem with a cycle (multipart form with optional photos)
+// @route   POST /api/damage-reports
+// @access  Private
+router.post('/', protect, uploadImages('photos', { maxCount: MAX_PHOTOS, maxSizeMb: MAX_PHOTO_MB }), [
+  body('cycleId').trim().notEmpty().withMessage('Cycle ID is required'),
+  body('category').isIn(DamageReport.CATEGORIES).withMessage('Invalid category'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('severity').optional().isIn(DamageReport.SEVERITIES).withMessage('Invalid severity'),
+  body('context').optional().isIn(['ride-start', 'ride-end', 'standalone']).withMessage('Invalid context')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const { cycleId, category, description, severity, context } = req.body;
+
+    // Find cycle by cycleId (from QR code)
+    const cycle = await Cycle.findOne({ cycleId, isActive: true });
+    if (!cycle) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Cycle not found' 
+      });
+    }
+
+    // Link the report to the rider's current ride on this cycle, or one
+    // they have just finished
+    let ride = await Ride.findOne({ userId: req.user._id, cycleId: cycle._id, status: 'active' });
+    let inferredContext = ride ? 'ride-start' : 'standalone';
+    if (!ride) {
+      ride = await Ride.findOne({
+        userId: req.user._id,
+        cycleId: cycle._id,
+        status: 'completed',
+        endTime: { $gte: new Date(Date.now() - RIDE_END_WINDOW_MINUTES * 60 * 1000) }
+      }).sort({ endTime: -1 });
+      if (ride) inferredContext = 'ride-end';
+    }
+
+    const photos = await savePhotos(req.files, `damage-reports/${cycle.cycleId}`);
+
+    let report;
+    try {
+      report = await DamageReport.create({
+        cycleId: cycle._id,
+        userId: req.user._id,
+        rideId: ride ? ride._id : null,
+        stationId: cycle.status === 'in-use' ? null : cycle.stationId,
+        context: context || inferredContext,
+        category,
+        description,
+        severity,
+        photos
+      });
+    } catch (error) {
+      await removePhotos(photos);
+      throw error;
+    }
+
+    const removedFromService = await applySeverity(report, cycle);
+
+    res.status(201).json({
+      success: true,
+      message: removedFromService
+        ? 'Thanks for the report; this cycle has been taken out of service'
+        : 'Thanks for the report',
+      data: report
+    });
+  } catch (error) {
+    console.error('Create damage report error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while creating damage report' 
+    });
+  }
+});
+
+// @desc    Get user's damage reports
+// @route   GET /api/damage-reports/my
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const reports = await DamageReport.find({ userId: req.user._id })
+      .select('-adminNotes')
+      .populate('cycleId', 'cycleId model')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await DamageReport.countDocuments({ userId: req.user._id });
+
+    res.json({
+      success: true,
+      data: reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get damage reports error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while fetching damage reports' 
+    });
+  }
+});
+
+// @desc    Get a photo attached to a damage report
+// @route   GET /api/damage-reports/:id/photos/:index
+// @access  Private (reporter or admin)
+router.get('/:id/photos/:index', protect, [
+  param('id').isMongoId().withMessage('Invalid report ID'),
+  param('index').isInt({ min: 0 }).withMessage('Invalid photo index')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const report = await DamageReport.findById(req.params.id).select('userId photos');
+    const photo = report && report.photos[parseInt(req.params.index)];
+    if (!photo) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Photo not found' 
+      });
+    }
+
+    // Only the reporter and admins can see report photos
+    if (req.user.role !== 'admin' && req.user._id.toString() !== report.userId.toString()) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to view this photo' 
+      });
+    }
+
+    const file = await readPhoto(photo);
+    if (!file) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Photo not found' 
+      });
+    }
+
+    res.set({
+      'Content-Type': photo.mimeType || 'application/octet-stream',
+      'Content-Length': file.length,
+      'Cache-Control': 'private, max-age=300',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(file);
+  } catch (error) {
+    console.error('Get damage report photo error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while fetching photo' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,503 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Cycle = require('../models/Cycle');
+const User = require('../models/User');
+const DamageReport = require('../models/DamageReport');
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const { takeOutOfService, createTicket, resolveTicket } = require('../services/maintenance');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Admins manage all tickets; technicians see and work only their own
+router.use(protect);
+router.use(authorize('admin', 'technician'));
+
+const TICKET_POPULATE = [
+  { path: 'cycleId', select: 'cycleId model status condition stationId' },
+  { path: 'assignedTo', select: 'name email' },
+  { path: 'damageReportIds', select: 'category severity description photos status createdAt' }
+];
+
+const isAdmin = (req) => req.user.role === 'admin';
+
+// Load the ticket in req.params.id into req.ticket. Technicians get a 404
+// for tickets that are not assigned to them.
+const loadTicket = async (req, res, next) => {
+  try {
+    const ticket = await MaintenanceTicket.findById(req.params.id);
+
+    if (!ticket || (!isAdmin(req) && String(ticket.assignedTo) !== String(req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    req.ticket = ticket;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get tickets (technicians only see their own)
+// @route   GET /api/maintenance/tickets
+// @access  Private/Admin, Technician
+router.get('/tickets', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.priority) filter.priority = req.query.priority;
+    if (req.query.cycleId) filter.cycleId = req.query.cycleId;
+    if (isAdmin(req)) {
+      if (req.query.assignedTo) filter.assignedTo = req.query.assignedTo;
+    } else {
+      filter.assignedTo = req.user._id;
+    }
+
+    const tickets = await MaintenanceTicket.find(filter)
+      .populate(TICKET_POPULATE)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await MaintenanceTicket.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: tickets,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get tickets error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tickets'
+    });
+  }
+});
+
+// @desc    Get single ticket
+// @route   GET /api/maintenance/tickets/:id
+// @access  Private/Admin, Technician
+router.get('/tickets/:id', loadTicket, async (req, res) => {
+  try {
+    await req.ticket.populate([
+      ...TICKET_POPULATE,
+      { path: 'parts.addedBy', select: 'name' },
+      { path: 'labour.technicianId', select: 'name' },
+      { path: 'history.by', select: 'name' }
+    ]);
+
+    res.json({
+      success: true,
+      data: req.ticket
+    });
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ticket'
+    });
+  }
+});
+
+// @desc    Open a ticket for a cycle, optionally covering damage reports
+// @route   POST /api/maintenance/tickets
+// @access  Private/Admin
+router.post('/tickets', authorize('admin'), [
+  body('cycleId').notEmpty().withMessage('Cycle ID is required'),
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+  body('priority').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid priority'),
+  body('damageReportIds').optional().isArray().withMessage('damageReportIds must be an array'),
+  body('assignedTo').optional().notEmpty().withMessage('Technician ID cannot be empty')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { cycleId, title, description, priority, damageReportIds = [], assignedTo } = req.body;
+
+    const cycle = await Cycle.findById(cycleId);
+    if (!cycle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle not found'
+      });
+    }
+
+    const reports = await DamageReport.countDocuments({ _id: { $in: damageReportIds }, cycleId: cycle._id });
+    if (reports !== damageReportIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Damage reports must exist and belong to this cycle'
+      });
+    }
+
+    if (assignedTo) {
+      const technician = await User.findOne({ _id: assignedTo, role: 'technician', isActive: true });
+      if (!technician) {
+        return res.status(400).json({
+          success: false,
+          message: 'Technician not found'
+        });
+      }
+    }
+
+    const ticket = await createTicket({
+      cycle,
+      title,
+      description,
+      priority,
+      damageReportIds,
+      assignedTo,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await ticket.populate(TICKET_POPULATE)
+    });
+  } catch (error) {
+    console.error('Create ticket error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating ticket'
+    });
+  }
+});
+
+// @desc    Assign a ticket to a technician, or unassign it
+// @route   PUT /api/maintenance/tickets/:id/assign
+// @access  Private/Admin
+router.put('/tickets/:id/assign', authorize('admin'), loadTicket, [
+  body('technicianId').optional({ nullable: true }).notEmpty().withMessage('Technician ID cannot be empty')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { ticket } = req;
+    const { technicianId } = req.body;
+
+    if (!technicianId) {
+      ticket.assignedTo = null;
+      ticket.transition('open', req.user._id);
+    } else {
+      const technician = await User.findOne({ _id: technicianId, role: 'technician', isActive: true });
+      if (!technician) {
+        return res.status(400).json({
+          success: false,
+          message: 'Technician not found'
+        });
+      }
+
+      // Reassigning keeps the ticket where it is
+      if (ticket.status === 'open') ticket.transition('assigned', req.user._id);
+      else if (ticket.status !== 'assigned' && ticket.status !== 'in-progress') {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot assign a ticket that is ${ticket.status}`
+        });
+      }
+      ticket.assignedTo = technician._id;
+    }
+
+    await ticket.save();
+
+    res.json({
+      success: true,
+      data: await ticket.populate(TICKET_POPULATE)
+    });
+  } catch (error) {
+    console.error('Assign ticket error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning ticket'
+    });
+  }
+});
+
+// @desc    Start work on a ticket
+// @route   POST /api/maintenance/tickets/:id/start
+// @access  Private/Admin, Technician
+router.post('/tickets/:id/start', loadTicket, async (req, res) => {
+  try {
+    req.ticket.transition('in-progress', req.user._id);
+    await req.ticket.save();
+
+    res.json({
+      success: true,
+      data: req.ticket
+    });
+  } catch (error) {
+    console.error('Start ticket error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting ticket'
+    });
+  }
+});
+
+// @desc    Record a part used on a ticket
+// @route   POST /api/maintenance/tickets/:id/parts
+// @access  Private/Admin, Technician
+router.post('/tickets/:id/parts', loadTicket, [
+  body('name').trim().notEmpty().withMessage('Part name is required'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost cannot be negative')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (req.ticket.status !== 'in-progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Parts can only be added while work is in progress'
+      });
+    }
+
+    req.ticket.parts.push({
+      name: req.body.name,
+      quantity: parseInt(req.body.quantity) || 1,
+      unitCost: parseFloat(req.body.unitCost) || 0,
+      addedBy: req.user._id
+    });
+    await req.ticket.save();
+
+    res.status(201).json({
+      success: true,
+      data: req.ticket
+    });
+  } catch (error) {
+    console.error('Add part error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding part'
+    });
+  }
+});
+
+// @desc    Add a labour note to a ticket
+// @route   POST /api/maintenance/tickets/:id/labour
+// @access  Private/Admin, Technician
+router.post('/tickets/:id/labour', loadTicket, [
+  body('note').trim().notEmpty().withMessage('Note is required'),
+  body('minutes').optional().isInt({ min: 0 }).withMessage('Minutes must be a non-negative integer')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (!['assigned', 'in-progress'].includes(req.ticket.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot log work on a ticket that is ${req.ticket.status}`
+      });
+    }
+
+    req.ticket.labour.push({
+      technicianId: req.user._id,
+      minutes: parseInt(req.body.minutes) || 0,
+      note: req.body.note
+    });
+    await req.ticket.save();
+
+    res.status(201).json({
+      success: true,
+      data: req.ticket
+    });
+  } catch (error) {
+    console.error('Add labour note error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding labour note'
+    });
+  }
+});
+
+// @desc    Resolve a ticket and return the cycle to service
+// @route   POST /api/maintenance/tickets/:id/resolve
+// @access  Private/Admin, Technician
+router.post('/tickets/:id/resolve', loadTicket, [
+  body('summary').trim().notEmpty().withMessage('A summary of the work is required'),
+  body('condition').isIn(['excellent', 'good', 'fair', 'poor']).withMessage('Invalid condition value')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const cycle = await resolveTicket(req.ticket, {
+      summary: req.body.summary,
+      condition: req.body.condition,
+      resolvedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: cycle.status === 'available'
+        ? 'Ticket resolved; the cycle is back in service'
+        : 'Ticket resolved; the cycle still has other open issues',
+      data: {
+        ticket: req.ticket,
+        cycle
+      }
+    });
+  } catch (error) {
+    console.error('Resolve ticket error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving ticket'
+    });
+  }
+});
+
+// @desc    Reopen a resolved ticket
+// @route   POST /api/maintenance/tickets/:id/reopen
+// @access  Private/Admin
+router.post('/tickets/:id/reopen', authorize('admin'), loadTicket, async (req, res) => {
+  try {
+    req.ticket.transition('in-progress', req.user._id);
+    req.ticket.resolvedAt = null;
+    await req.ticket.save();
+
+    // The cycle may have gone back into service when the ticket was resolved
+    await takeOutOfService(req.ticket.cycleId);
+
+    res.json({
+      success: true,
+      data: req.ticket
+    });
+  } catch (error) {
+    console.error('Reopen ticket error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reopening ticket'
+    });
+  }
+});
+
+// @desc    Close a resolved ticket after review
+// @route   POST /api/maintenance/tickets/:id/close
+// @access  Private/Admin
+router.post('/tickets/:id/close', authorize('admin'), loadTicket, async (req, res) => {
+  try {
+    req.ticket.transition('closed', req.user._id);
+    await req.ticket.save();
+
+    res.json({
+      success: true,
+      data: req.ticket
+    });
+  } catch (error) {
+    console.error('Close ticket error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing ticket'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PassPlan = require('../models/PassPlan');
+const Subscription = require('../models/Subscription');
+const Wallet = require('../models/Wallet');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Create a subscription to `plan` starting at `startDate`, paid from the wallet
+const purchasePlan = async (user, plan, startDate, renewedFrom = null) => {
+  const subscription = new Subscription({
+    userId: user._id,
+    planId: plan._id,
+    startDate,
+    endDate: new Date(startDate.getTime() + plan.durationDays * DAY_MS),
+    includedMinutesPerRide: plan.includedMinutesPerRide,
+    rideLimit: plan.rideLimit,
+    pricePaid: plan.price,
+    renewedFrom
+  });
+
+  if (plan.price > 0) {
+    const transaction = await Wallet.applyTransaction(user._id, {
+      type: 'pass-purchase',
+      amount: -plan.price,
+      reference: `pass:${subscription._id}`,
+      description: `${plan.name} pass`
+    });
+    subscription.transactionId = transaction._id;
+  }
+
+  try {
+    await subscription.save();
+  } catch (error) {
+    if (subscription.transactionId) {
+      await Wallet.applyTransaction(user._id, {
+        type: 'adjustment',
+        amount: plan.price,
+        reference: `pass:${subscription._id}:reversal`,
+        description: `${plan.name} pass purchase reversed`
+      });
+    }
+    throw error;
+  }
+
+  return subscription.populate('planId', 'name code period durationDays');
+};
+
+// @desc    Get pass plans available to the current user
+// @route   GET /api/passes/plans
+// @access  Private
+router.get('/plans', protect, async (req, res) => {
+  try {
+    const plans = await PassPlan.find({ isActive: true }).sort({ price: 1 });
+
+    res.json({
+      success: true,
+      data: plans.filter(plan => plan.isAvailableTo(req.user.role))
+    });
+  } catch (error) {
+    console.error('Get pass plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching pass plans'
+    });
+  }
+});
+
+// @desc    Get current user's passes
+// @route   GET /api/passes/my
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const current = await Subscription.findActiveForUser(req.user._id)
+      .populate('planId', 'name code period durationDays');
+
+    const history = await Subscription.find({ userId: req.user._id })
+      .populate('planId', 'name code period durationDays')
+      .sort({ startDate: -1 })
+      .limit(parseInt(req.query.limit) || 20);
+
+    res.json({
+      success: true,
+      data: {
+        current,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get passes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching passes'
+    });
+  }
+});
+
+// @desc    Buy a pass
+// @route   POST /api/passes/purchase
+// @access  Private
+router.post('/purchase', protect, [
+  body('planId').isMongoId().withMessage('A valid plan ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const plan = await PassPlan.findById(req.body.planId);
+    if (!plan || !plan.isAvailableTo(req.user.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pass plan not found'
+      });
+    }
+
+    const existing = await Subscription.findLatestForUser(req.user._id);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an active pass; renew it instead'
+      });
+    }
+
+    const subscription = await purchasePlan(req.user, plan, new Date());
+
+    res.status(201).json({
+      success: true,
+      message: 'Pass purchased successfully',
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Purchase pass error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while purchasing pass'
+    });
+  }
+});
+
+// @desc    Renew a pass; the new period starts when the current one ends
+// @route   POST /api/passes/renew
+// @access  Private
+router.post('/renew', protect, [
+  body('planId').optional().isMongoId().withMessage('Invalid plan ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const latest = await Subscription.findOne({ userId: req.user._id, status: 'active' })
+      .sort({ endDate: -1 });
+
+    if (!latest) {
+      return res.status(400).json({
+        success: false,
+        message: 'No pass to renew'
+      });
+    }
+
+    // Only one renewal can be queued behind the pass currently in force
+    const now = new Date();
+    if (latest.startDate > now) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your pass has already been renewed'
+      });
+    }
+
+    const plan = await PassPlan.findById(req.body.planId || latest.planId);
+    if (!plan || !plan.isAvailableTo(req.user.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pass plan not found'
+      });
+    }
+
+    const startDate = latest.endDate > now ? latest.endDate : now;
+    const subscription = await purchasePlan(req.user, plan, startDate, latest._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pass renewed successfully',
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Renew pass error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while renewing pass'
+    });
+  }
+});
+
+module.exports = router;
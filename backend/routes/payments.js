@@ -0,0 +1,254 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const PaymentOrder = require('../models/PaymentOrder');
+const { protect } = require('../middleware/auth');
+const { MOCK_PAYMENTS_ENABLED, getProvider, processWebhookEvent } = require('../services/payments');
+
+const router = express.Router();
+
+const MIN_TOPUP = parseFloat(process.env.PAYMENT_MIN_TOPUP) || 10;
+const MAX_TOPUP = parseFloat(process.env.PAYMENT_MAX_TOPUP) || 5000;
+
+// Answer 503 while no payment provider is configured
+const requirePaymentProvider = (req, res, next) => {
+  try {
+    getProvider();
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 503).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a wallet top-up order
+// @route   POST /api/payments/topup
+// @access  Private
+router.post('/topup', protect, requirePaymentProvider, [
+  body('amount').isFloat({ min: MIN_TOPUP, max: MAX_TOPUP })
+    .withMessage(`Amount must be between ${MIN_TOPUP} and ${MAX_TOPUP}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const provider = getProvider();
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+    const currency = 'INR';
+
+    const { providerOrderId, checkout } = await provider.createOrder({
+      amount,
+      currency,
+      receipt: `topup:${req.user._id}:${Date.now()}`
+    });
+
+    const order = await PaymentOrder.create({
+      userId: req.user._id,
+      provider: provider.name,
+      providerOrderId,
+      amount,
+      currency
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        order,
+        checkout
+      }
+    });
+  } catch (error) {
+    console.error('Create top-up order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating top-up order'
+    });
+  }
+});
+
+// @desc    Get user's payment orders
+// @route   GET /api/payments/orders
+// @access  Private
+router.get('/orders', protect, requirePaymentProvider, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const orders = await PaymentOrder.find({ userId: req.user._id })
+      .select('-processedEvents')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await PaymentOrder.countDocuments({ userId: req.user._id });
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get payment orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payment orders'
+    });
+  }
+});
+
+// @desc    Get single payment order
+// @route   GET /api/payments/orders/:id
+// @access  Private
+router.get('/orders/:id', protect, requirePaymentProvider, [
+  param('id').isMongoId().withMessage('Invalid payment order ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await PaymentOrder.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).select('-processedEvents');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error('Get payment order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payment order'
+    });
+  }
+});
+
+// @desc    Receive a payment provider callback
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signature verified)
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = getProvider(req.params.provider);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown payment provider'
+      });
+    }
+
+    if (!provider.verifyWebhookSignature(req.rawBody, req.headers)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = provider.parseWebhookEvent(req.body);
+    const result = await processWebhookEvent(provider, event);
+
+    res.json({
+      success: true,
+      duplicate: result.duplicate,
+      data: {
+        orderId: result.order._id,
+        status: result.order.status
+      }
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while processing payment callback'
+    });
+  }
+});
+
+// @desc    Complete a top-up through the mock gateway (ENABLE_MOCK_PAYMENTS only)
+// @route   POST /api/payments/orders/:id/mock-checkout
+// @access  Private
+router.post('/orders/:id/mock-checkout', protect, [
+  body('outcome').optional().isIn(['success', 'failure']).withMessage('Outcome must be success or failure')
+], async (req, res) => {
+  try {
+    if (!MOCK_PAYMENTS_ENABLED) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await PaymentOrder.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      provider: 'mock'
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment order not found'
+      });
+    }
+
+    // Go through signature verification like a real callback would
+    const provider = getProvider('mock');
+    const callback = provider.simulateCheckout(order.providerOrderId, {
+      amount: order.amount,
+      outcome: req.body.outcome
+    });
+
+    if (!provider.verifyWebhookSignature(callback.rawBody, callback.headers)) {
+      throw new Error('Mock gateway produced an invalid signature');
+    }
+
+    const result = await processWebhookEvent(provider, provider.parseWebhookEvent(callback.body));
+
+    res.json({
+      success: true,
+      data: result.order
+    });
+  } catch (error) {
+    console.error('Mock checkout error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error during mock checkout'
+    });
+  }
+});
+
+module.exports = router;
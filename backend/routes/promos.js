@@ -0,0 +1,102 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @desc    Apply a promo code to the account (used on the next ride)
+// @route   POST /api/promos/apply
+// @access  Private
+router.post('/apply', protect, [
+  body('code').trim().notEmpty().withMessage('Promo code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const promo = await PromoCode.findOne({ code: req.body.code.toUpperCase() });
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const reason = await promo.checkEligibility(req.user);
+    if (reason) {
+      return res.status(400).json({
+        success: false,
+        message: reason
+      });
+    }
+
+    const redemption = await PromoRedemption.claimSlot(promo, req.user._id, { appliedTo: 'account' });
+    if (!redemption) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already used this promo code'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code applied; it will be used on your next ride',
+      data: {
+        redemption,
+        promo: {
+          code: promo.code,
+          description: promo.description,
+          discountType: promo.discountType,
+          value: promo.value,
+          maxDiscount: promo.maxDiscount,
+          validUntil: promo.validUntil
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Apply promo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying promo code'
+    });
+  }
+});
+
+// @desc    Get user's promo codes (pending and used)
+// @route   GET /api/promos/my
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const redemptions = await PromoRedemption.find({
+      userId: req.user._id,
+      status: { $in: ['pending', 'redeemed'] }
+    })
+      .populate('promoId', 'code description discountType value maxDiscount validUntil')
+      .populate('rideId', 'startTime endTime duration')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        pending: redemptions.filter(r => r.status === 'pending'),
+        redeemed: redemptions.filter(r => r.status === 'redeemed')
+      }
+    });
+  } catch (error) {
+    console.error('Get promos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching promo codes'
+    });
+  }
+});
+
+module.exports = router;
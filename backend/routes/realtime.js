@@ -0,0 +1,43 @@
+const express = require('express');
+const { protect, protectStream } = require('../middleware/auth');
+const { subscribe } = require('../services/realtime');
+const { signStreamTicket } = require('../services/sessions');
+
+const router = express.Router();
+
+// @desc    Get a short-lived ticket for opening the live update stream
+// @route   POST /api/realtime/ticket
+// @access  Private
+router.post('/ticket', protect, (req, res) => {
+  try {
+    res.status(201).json({
+      success: true,
+      data: signStreamTicket(req.user._id, req.sessionId)
+    });
+  } catch (error) {
+    console.error('Stream ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing stream ticket'
+    });
+  }
+});
+
+// @desc    Stream live station availability and ride updates (Server-Sent Events)
+// @route   GET /api/realtime/stream
+// @access  Private (access token header, or ?ticket= from POST /ticket)
+router.get('/stream', protectStream, async (req, res) => {
+  try {
+    await subscribe(req, res);
+  } catch (error) {
+    console.error('Realtime stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error while opening live updates'
+      });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Reservation = require('../models/Reservation');
+const Cycle = require('../models/Cycle');
+const Station = require('../models/Station');
+const { protect, checkActiveRide } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DEFAULT_HOLD_MINUTES = parseInt(process.env.RESERVATION_HOLD_MINUTES) || 15;
+const MAX_HOLD_MINUTES = parseInt(process.env.RESERVATION_MAX_HOLD_MINUTES) || 30;
+const MAX_NO_SHOWS = parseInt(process.env.RESERVATION_MAX_NO_SHOWS) || 3;
+const NO_SHOW_WINDOW_DAYS = parseInt(process.env.RESERVATION_NO_SHOW_WINDOW_DAYS) || 30;
+
+// @desc    Reserve a cycle (or any cycle) at a station
+// @route   POST /api/reservations
+// @access  Private
+router.post('/', protect, checkActiveRide, [
+  body('stationId').isMongoId().withMessage('A valid station ID is required'),
+  body('cycleId').optional().trim().notEmpty().withMessage('Cycle ID cannot be empty'),
+  body('holdMinutes').optional().isInt({ min: 1, max: MAX_HOLD_MINUTES })
+    .withMessage(`Hold must be between 1 and ${MAX_HOLD_MINUTES} minutes`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (req.activeRide) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an active ride'
+      });
+    }
+
+    await Reservation.expireStale();
+
+    const existing = await Reservation.findActiveReservation(req.user._id);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an active reservation'
+      });
+    }
+
+    // Riders who keep letting holds lapse lose the ability to reserve for a while
+    const noShows = await Reservation.countRecentNoShows(req.user._id, NO_SHOW_WINDOW_DAYS);
+    if (noShows >= MAX_NO_SHOWS) {
+      return res.status(403).json({
+        success: false,
+        message: `Reservations are suspended after ${noShows} no-shows in the last ${NO_SHOW_WINDOW_DAYS} days`
+      });
+    }
+
+    const { stationId, cycleId } = req.body;
+    const holdMinutes = parseInt(req.body.holdMinutes) || DEFAULT_HOLD_MINUTES;
+
+    const station = await Station.findOne({ _id: stationId, isActive: true });
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    // Claim the cycle atomically so two riders cannot hold the same one
+    const filter = { stationId, status: 'available', isActive: true };
+    if (cycleId) filter.cycleId = cycleId;
+
+    const cycle = await Cycle.findOneAndUpdate(
+      filter,
+      { status: 'reserved' },
+      { new: true }
+    );
+
+    if (!cycle) {
+      return res.status(409).json({
+        success: false,
+        message: cycleId
+          ? 'Cycle is not available for reservation at this station'
+          : 'No cycles available at this station'
+      });
+    }
+
+    let reservation;
+    try {
+      reservation = await Reservation.create({
+        userId: req.user._id,
+        stationId,
+        cycleId: cycle._id,
+        anyCycle: !cycleId,
+        holdMinutes,
+        expiresAt: new Date(Date.now() + holdMinutes * 60 * 1000)
+      });
+    } catch (error) {
+      await cycle.updateStatus('available');
+      throw error;
+    }
+
+    await reservation.populate([
+      { path: 'cycleId', select: 'cycleId model color' },
+      { path: 'stationId', select: 'name location' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cycle reserved successfully',
+      data: reservation
+    });
+  } catch (error) {
+    console.error('Create reservation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating reservation'
+    });
+  }
+});
+
+// @desc    Get current active reservation
+// @route   GET /api/reservations/active
+// @access  Private
+router.get('/active', protect, async (req, res) => {
+  try {
+    await Reservation.expireStale();
+
+    const reservation = await Reservation.findActiveReservation(req.user._id)
+      .populate([
+        { path: 'cycleId', select: 'cycleId model color' },
+        { path: 'stationId', select: 'name location' }
+      ]);
+
+    res.json({
+      success: true,
+      data: reservation,
+      ...(!reservation && { message: 'No active reservation' })
+    });
+  } catch (error) {
+    console.error('Get active reservation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching active reservation'
+    });
+  }
+});
+
+// @desc    Get user's reservation history
+// @route   GET /api/reservations
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const reservations = await Reservation.find({ userId: req.user._id })
+      .populate([
+        { path: 'cycleId', select: 'cycleId model color' },
+        { path: 'stationId', select: 'name location' }
+      ])
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Reservation.countDocuments({ userId: req.user._id });
+
+    res.json({
+      success: true,
+      data: reservations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get reservations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reservations'
+    });
+  }
+});
+
+// @desc    Cancel active reservation
+// @route   POST /api/reservations/cancel
+// @access  Private
+router.post('/cancel', protect, async (req, res) => {
+  try {
+    const reservation = await Reservation.findActiveReservation(req.user._id);
+    if (!reservation) {
+      return res.status(400).json({
+        success: false,
+        message: 'No active reservation to cancel'
+      });
+    }
+
+    await reservation.release('cancelled');
+
+    res.json({
+      success: true,
+      message: 'Reservation cancelled successfully',
+      data: reservation
+    });
+  } catch (error) {
+    console.error('Cancel reservation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling reservation'
+    });
+  }
+});
+
+module.exports = router;
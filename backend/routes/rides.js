@@ -1,16 +1,34 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const Ride = require('../models/Ride');
 const Cycle = require('../models/Cycle');
 const Station = require('../models/Station');
-const { protect, checkActiveRide } = require('../middleware/auth');
+const Reservation = require('../models/Reservation');
+const Tariff = require('../models/Tariff');
+const Wallet = require('../models/Wallet');
+const { MIN_RIDE_BALANCE, priceRide, chargeRide } = require('../services/billing');
+const { resolveRates } = require('../utils/pricing');
+const { MAX_POINTS, compressPoints, summarizeTrip } = require('../services/tracking');
+const { locateRider, checkRideEnd } = require('../services/geofence');
+const { GRACE_MINUTES, checkDockAvailable, graceMinutesFor } = require('../services/docking');
+const { statusAfterRide } = require('../services/maintenance');
+const { notifyWaitlist } = require('../services/waitlist');
+const { notify } = require('../services/notifications');
+const {
+  assignReceiptNumber,
+  buildReceipt,
+  buildStatement,
+  renderHtml,
+  renderPdf
+} = require('../services/receipts');
+const { protect, checkActiveRide, requireVerified } = require('../middleware/auth');
 
 const router = express.Router();
 
 // @desc    Start a ride (scan QR code)
 // @route   POST /api/rides/start
 // @access  Private
-router.post('/start', protect, checkActiveRide, [
+router.post('/start', protect, requireVerified, checkActiveRide, [
   body('cycleId').notEmpty().withMessage('Cycle ID is required'),
   body('stationId').notEmpty().withMessage('Station ID is required')
 ], async (req, res) => {
@@ -32,6 +50,19 @@ router.post('/start', protect, checkActiveRide, [
       });
     }
 
+    // Check the rider can pay for the ride
+    const wallet = await Wallet.getOrCreate(req.user._id);
+    if (wallet.balance < MIN_RIDE_BALANCE) {
+      return res.status(402).json({ 
+        success: false,
+        message: `A wallet balance of at least ${MIN_RIDE_BALANCE} ${wallet.currency} is required to start a ride`,
+        data: {
+          balance: wallet.balance,
+          minRideBalance: MIN_RIDE_BALANCE
+        }
+      });
+    }
+
     const { cycleId, stationId } = req.body;
 
     // Find cycle by cycleId (from QR code)
@@ -47,8 +78,21 @@ router.post('/start', protect, checkActiveRide, [
       });
     }
 
-    // Check if cycle is available
-    if (cycle.status !== 'available') {
+    // Expire lapsed holds so their cycles are released before we check
+    await Reservation.expireStale();
+    const reservation = await Reservation.findActiveReservation(req.user._id);
+    const holdsThisCycle = reservation &&
+      reservation.cycleId.toString() === cycle._id.toString();
+
+    // Check if cycle is available (or held for this rider)
+    if (cycle.status === 'reserved' && !holdsThisCycle) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Cycle is reserved by another rider' 
+      });
+    }
+
+    if (cycle.status !== 'available' && cycle.status !== 'reserved') {
       return res.status(400).json({ 
         success: false,
         message: 'Cycle is not available for use' 
@@ -64,23 +108,54 @@ router.post('/start', protect, checkActiveRide, [
       });
     }
 
+    // Take the cycle only if nobody changed it since we looked, so a held
+    // cycle goes straight from reserved to in-use without ever being free
+    const claimed = await Cycle.updateOne(
+      { _id: cycle._id, status: cycle.status },
+      { status: 'in-use', updatedAt: new Date() }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cycle was just taken by another rider'
+      });
+    }
+
+    // A reservation at this station turns into the ride, even when the rider
+    // picks a different cycle than the one held; anywhere else it is dropped
+    const fulfilsReservation = reservation &&
+      reservation.stationId.toString() === station._id.toString();
+    if (reservation && !fulfilsReservation) {
+      await reservation.release('cancelled');
+    }
+
     // Create new ride
-    const ride = await Ride.create({
-      userId: req.user._id,
-      cycleId: cycle._id,
-      stationId: stationId,
-      startStation: stationId,
-      startTime: new Date()
-    });
+    let ride;
+    try {
+      ride = await Ride.create({
+        userId: req.user._id,
+        cycleId: cycle._id,
+        stationId: stationId,
+        startStation: stationId,
+        startTime: new Date(),
+        reservationId: fulfilsReservation ? reservation._id : null
+      });
+    } catch (error) {
+      // Hand the cycle back the way we found it
+      await Cycle.updateOne({ _id: cycle._id, status: 'in-use' }, { status: cycle.status });
+      throw error;
+    }
 
-    // Update cycle status to in-use
-    await cycle.updateStatus('in-use');
+    if (fulfilsReservation) {
+      await reservation.fulfil(ride);
+    }
 
     // Populate ride with cycle and station details
     await ride.populate([
       { path: 'cycleId', select: 'cycleId model color' },
       { path: 'startStation', select: 'name location' }
     ]);
+    notify(req.user._id, 'ride-started', { ride, cycle, station: ride.startStation });
 
     res.status(201).json({
       success: true,
@@ -103,7 +178,11 @@ router.post('/end', protect, checkActiveRide, [
   body('cycleId').notEmpty().withMessage('Cycle ID is required'),
   body('stationId').notEmpty().withMessage('Station ID is required'),
   body('feedback.rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
-  body('feedback.comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+  body('feedback.comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters'),
+  body('promoCode').optional().trim().notEmpty().withMessage('Promo code cannot be empty'),
+  body('location.latitude').if(body('location').exists()).isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('location.longitude').if(body('location').exists()).isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('location.accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -123,7 +202,7 @@ router.post('/end', protect, checkActiveRide, [
       });
     }
 
-    const { cycleId, stationId, feedback } = req.body;
+    const { cycleId, stationId, feedback, promoCode, location } = req.body;
 
     // Find cycle by cycleId (from QR code)
     const cycle = await Cycle.findOne({ 
@@ -155,11 +234,85 @@ router.post('/end', protect, checkActiveRide, [
       });
     }
 
-    // End the ride
-    const ride = await Ride.findByIdAndUpdate(
-      req.activeRide._id,
+    // The rider has to be at the station to dock there
+    const endTime = new Date();
+    const trackedRide = await Ride.findById(req.activeRide._id).select('+track +trackOffsets');
+    const position = locateRider(trackedRide, location && {
+      latitude: parseFloat(location.latitude),
+      longitude: parseFloat(location.longitude),
+      accuracy: location.accuracy !== undefined ? parseFloat(location.accuracy) : undefined
+    }, endTime);
+
+    if (!position) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Your current location is required to end the ride' 
+      });
+    }
+
+    const geofence = await checkRideEnd({
+      user: req.user,
+      ride: trackedRide,
+      station,
+      position,
+      now: endTime
+    });
+
+    if (!geofence.allowed) {
+      return res.status(403).json({ 
+        success: false,
+        code: 'OUTSIDE_STATION_ZONE',
+        message: `You are ${geofence.distance} m from ${station.name}; move within ${geofence.allowedRadius} m to end your ride`,
+        data: {
+          distance: geofence.distance,
+          allowedRadius: geofence.allowedRadius,
+          nearestStations: geofence.nearestStations
+        }
+      });
+    }
+
+    // A full station cannot take the cycle; send the rider on to one with a
+    // free dock and stop billing them for the detour
+    const full = await checkDockAvailable(station);
+    if (full) {
+      await Ride.updateOne(
+        { _id: trackedRide._id, stationFullAt: null },
+        { stationFullAt: endTime }
+      );
+      const turnedAwayAt = trackedRide.stationFullAt || endTime;
+
+      return res.status(409).json({ 
+        success: false,
+        code: 'STATION_FULL',
+        message: `${station.name} is full; please dock at a nearby station`,
+        data: {
+          ...full,
+          graceMinutes: GRACE_MINUTES,
+          graceUntil: new Date(turnedAwayAt.getTime() + GRACE_MINUTES * 60 * 1000)
+        }
+      });
+    }
+
+    // Work out duration and fare up front; findByIdAndUpdate skips save hooks
+    const duration = Math.round((endTime.getTime() - req.activeRide.startTime.getTime()) / (1000 * 60));
+    const trip = summarizeTrip(trackedRide, duration);
+    const fare = await priceRide({
+      user: req.user,
+      ride: req.activeRide,
+      durationMinutes: duration,
+      endTime,
+      promoCode,
+      graceMinutes: graceMinutesFor(trackedRide.stationFullAt, endTime)
+    });
+
+    // End the ride; matching on status makes sure a ride is only closed once
+    const ride = await Ride.findOneAndUpdate(
+      { _id: req.activeRide._id, status: 'active' },
       {
-        endTime: new Date(),
+        endTime,
+        duration,
+        fare,
+        trip,
         endStation: stationId,
         status: 'completed',
         feedback: feedback || {}
@@ -171,8 +324,40 @@ router.post('/end', protect, checkActiveRide, [
       { path: 'endStation', select: 'name location' }
     ]);
 
-    // Update cycle status to available
-    await cycle.updateStatus('available');
+    if (!ride) {
+      return res.status(409).json({ 
+        success: false,
+        message: 'Ride has already been ended' 
+      });
+    }
+
+    // Charge the fare; if the ledger write fails, reopen the ride so it is
+    // never left closed without being paid for
+    try {
+      await chargeRide(ride);
+    } catch (error) {
+      await Ride.updateOne(
+        { _id: ride._id },
+        {
+          status: 'active',
+          endTime: null,
+          endStation: null,
+          duration: 0,
+          $unset: { fare: 1 }
+        }
+      );
+      throw error;
+    }
+
+    await assignReceiptNumber(ride);
+
+    // Dock the cycle at the end station; it stays out of service if a
+    // serious problem was reported during the ride
+    await Cycle.recordUsage(cycle._id, { minutes: duration, distance: trip.distance });
+    cycle.stationId = station._id;
+    await cycle.updateStatus(await statusAfterRide(cycle._id));
+    notifyWaitlist(station._id);
+    notify(req.user._id, 'ride-ended', { ride, station });
 
     res.json({
       success: true,
@@ -181,6 +366,12 @@ router.post('/end', protect, checkActiveRide, [
     });
   } catch (error) {
     console.error('End ride error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
     res.status(500).json({ 
       success: false,
       message: 'Server error while ending ride' 
@@ -234,6 +425,137 @@ router.get('/history', protect, async (req, res) => {
   }
 });
 
+// @desc    Record GPS points for the active ride
+// @route   POST /api/rides/active/track
+// @access  Private
+router.post('/active/track', protect, checkActiveRide, [
+  body('points').isArray({ min: 1, max: 500 }).withMessage('Points must be an array of 1 to 500 locations'),
+  body('points.*.latitude').isFloat({ min: -90, max: 90 }).toFloat().withMessage('Valid latitude is required'),
+  body('points.*.longitude').isFloat({ min: -180, max: 180 }).toFloat().withMessage('Valid longitude is required'),
+  body('points.*.timestamp').optional().isISO8601().withMessage('Timestamp must be an ISO 8601 date'),
+  body('points.*.accuracy').optional().isFloat({ min: 0 }).toFloat().withMessage('Accuracy must be a positive number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    if (!req.activeRide) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'No active ride found' 
+      });
+    }
+
+    const ride = await Ride.findById(req.activeRide._id).select('+track +trackOffsets');
+    const accepted = compressPoints(ride, req.body.points);
+
+    if (accepted.coordinates.length > 0) {
+      await Ride.updateOne(
+        { _id: ride._id, status: 'active' },
+        {
+          $set: { 'track.type': 'LineString' },
+          $push: {
+            'track.coordinates': { $each: accepted.coordinates },
+            trackOffsets: { $each: accepted.offsets }
+          }
+        }
+      );
+    }
+
+    const pointCount = ((ride.track && ride.track.coordinates.length) || 0) + accepted.coordinates.length;
+
+    res.json({
+      success: true,
+      data: {
+        accepted: accepted.coordinates.length,
+        dropped: req.body.points.length - accepted.coordinates.length,
+        pointCount,
+        maxPoints: MAX_POINTS
+      }
+    });
+  } catch (error) {
+    console.error('Track ride error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while recording ride track' 
+    });
+  }
+});
+
+// Send a receipt or statement as HTML (default) or PDF
+const sendDocument = async (req, res, doc, filename) => {
+  const format = req.query.format || (req.accepts(['html', 'pdf']) === 'pdf' ? 'pdf' : 'html');
+
+  if (format === 'pdf') {
+    const pdf = await renderPdf(doc);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${filename}.pdf"`
+    });
+    return res.send(pdf);
+  }
+
+  res.type('html').send(renderHtml(doc));
+};
+
+// @desc    Get monthly statement (invoice) of completed rides
+// @route   GET /api/rides/statement?month=YYYY-MM&format=html|pdf
+// @access  Private
+router.get('/statement', protect, async (req, res) => {
+  try {
+    const now = new Date();
+    const month = req.query.month ||
+      `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Month must be in YYYY-MM format' 
+      });
+    }
+
+    const [year, monthNumber] = month.split('-').map(Number);
+    const from = new Date(year, monthNumber - 1, 1);
+    const to = new Date(year, monthNumber, 1);
+
+    const rides = await Ride.find({
+      userId: req.user._id,
+      status: 'completed',
+      endTime: { $gte: from, $lt: to }
+    })
+    .populate([
+      { path: 'startStation', select: 'name location' },
+      { path: 'endStation', select: 'name location' }
+    ])
+    .sort({ endTime: 1 });
+
+    // Rides completed before receipts existed get their number now
+    for (const ride of rides) {
+      await assignReceiptNumber(ride);
+    }
+
+    const statement = buildStatement(req.user, rides, {
+      from,
+      to: new Date(to.getTime() - 1),
+      label: month
+    });
+
+    await sendDocument(req, res, statement, statement.number);
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while generating statement' 
+    });
+  }
+});
+
 // @desc    Get current active ride
 // @route   GET /api/rides/active
 // @access  Private
@@ -266,6 +588,29 @@ router.get('/active', protect, checkActiveRide, async (req, res) => {
   }
 });
 
+// @desc    Get the tariff that applies to the current user
+// @route   GET /api/rides/tariff
+// @access  Private
+router.get('/tariff', protect, async (req, res) => {
+  try {
+    const tariff = await Tariff.getActive();
+
+    res.json({
+      success: true,
+      data: {
+        name: tariff ? tariff.name : 'Default',
+        ...resolveRates(tariff, req.user.role)
+      }
+    });
+  } catch (error) {
+    console.error('Get tariff error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while fetching tariff' 
+    });
+  }
+});
+
 // @desc    Get user ride statistics
 // @route   GET /api/rides/stats
 // @access  Private/Admin
@@ -292,6 +637,62 @@ router.get('/stats', protect, async (req, res) => {
   }
 });
 
+// @desc    Get receipt for a completed ride
+// @route   GET /api/rides/:id/receipt?format=html|pdf
+// @access  Private
+router.get('/:id/receipt', protect, [
+  param('id').isMongoId().withMessage('Invalid ride ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const ride = await Ride.findById(req.params.id).populate([
+      { path: 'userId', select: 'name email' },
+      { path: 'cycleId', select: 'cycleId model color' },
+      { path: 'startStation', select: 'name location' },
+      { path: 'endStation', select: 'name location' }
+    ]);
+
+    if (!ride) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Ride not found' 
+      });
+    }
+
+    // Riders can only see their own receipts, admins can see any
+    if (req.user.role !== 'admin' && ride.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to access this receipt' 
+      });
+    }
+
+    if (ride.status !== 'completed') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Receipts are only available for completed rides' 
+      });
+    }
+
+    await assignReceiptNumber(ride);
+    await sendDocument(req, res, buildReceipt(ride), ride.receiptNumber);
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while generating receipt' 
+    });
+  }
+});
+
 // @desc    Cancel active ride
 // @route   POST /api/rides/cancel
 // @access  Private
@@ -314,11 +715,15 @@ router.post('/cancel', protect, checkActiveRide, async (req, res) => {
       { new: true }
     );
 
-    // Update cycle status to available
-    await Cycle.findByIdAndUpdate(
+    // Put the cycle back in service, unless a report or due service during
+    // the ride means it goes to maintenance instead
+    const status = await statusAfterRide(req.activeRide.cycleId);
+    const cycle = await Cycle.findByIdAndUpdate(
       req.activeRide.cycleId,
-      { status: 'available' }
+      { status },
+      { new: true }
     );
+    if (cycle && cycle.status === 'available') notifyWaitlist(cycle.stationId);
 
     res.json({
       success: true,
@@ -334,4 +739,47 @@ router.post('/cancel', protect, checkActiveRide, async (req, res) => {
   }
 });
 
+// @desc    Get single ride
+// @route   GET /api/rides/:id?includeTrack=true
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const query = Ride.findById(req.params.id).populate([
+      { path: 'cycleId', select: 'cycleId model color' },
+      { path: 'startStation', select: 'name location' },
+      { path: 'endStation', select: 'name location' }
+    ]);
+    if (req.query.includeTrack === 'true') {
+      query.select('+track +trackOffsets');
+    }
+
+    const ride = await query;
+    if (!ride) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Ride not found' 
+      });
+    }
+
+    // Riders can only see their own rides, admins can see any
+    if (req.user.role !== 'admin' && ride.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to access this ride' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: ride
+    });
+  } catch (error) {
+    console.error('Get ride error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while fetching ride' 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
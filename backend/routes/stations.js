@@ -1,16 +1,19 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Station = require('../models/Station');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
+const DEFAULT_NEARBY_RADIUS = parseFloat(process.env.NEARBY_STATION_RADIUS) || 2000;
+const MAX_NEARBY_RADIUS = parseFloat(process.env.NEARBY_STATION_MAX_RADIUS) || 20000;
+
 // @desc    Get all stations
 // @route   GET /api/stations
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const stations = await Station.find({ isActive: true });
+    const stations = await Station.find({ isActive: true }).populate(Station.LIVE_COUNTS);
 
     res.json({
       success: true,
@@ -26,12 +29,57 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @desc    Get stations near a point, nearest first, with live availability
+// @route   GET /api/stations/nearby
+// @access  Public
+router.get('/nearby', [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('radius').optional().isFloat({ min: 1, max: MAX_NEARBY_RADIUS })
+    .withMessage(`Radius must be between 1 and ${MAX_NEARBY_RADIUS} meters`),
+  query('minCycles').optional().isInt({ min: 0 }).withMessage('minCycles must be a non-negative integer'),
+  query('minFreeDocks').optional().isInt({ min: 0 }).withMessage('minFreeDocks must be a non-negative integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const stations = await Station.findNearby({
+      latitude: parseFloat(req.query.lat),
+      longitude: parseFloat(req.query.lng),
+      radius: parseFloat(req.query.radius) || DEFAULT_NEARBY_RADIUS,
+      minCycles: parseInt(req.query.minCycles) || 0,
+      minFreeDocks: parseInt(req.query.minFreeDocks) || 0,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      count: stations.length,
+      data: stations
+    });
+  } catch (error) {
+    console.error('Get nearby stations error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while searching nearby stations' 
+    });
+  }
+});
+
 // @desc    Get single station
 // @route   GET /api/stations/:id
 // @access  Public
 router.get('/:id', async (req, res) => {
   try {
-    const station = await Station.findById(req.params.id);
+    const station = await Station.findById(req.params.id).populate(Station.LIVE_COUNTS);
 
     if (!station) {
       return res.status(404).json({ 
@@ -61,8 +109,8 @@ router.post('/', protect, authorize('admin'), [
   body('location').trim().notEmpty().withMessage('Location is required'),
   body('description').optional().trim(),
   body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
-  body('coordinates.latitude').isFloat().withMessage('Valid latitude is required'),
-  body('coordinates.longitude').isFloat().withMessage('Valid longitude is required')
+  body('coordinates.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('coordinates.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -97,8 +145,8 @@ router.put('/:id', protect, authorize('admin'), [
   body('location').optional().trim().notEmpty().withMessage('Location cannot be empty'),
   body('description').optional().trim(),
   body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
-  body('coordinates.latitude').optional().isFloat().withMessage('Valid latitude is required'),
-  body('coordinates.longitude').optional().isFloat().withMessage('Valid longitude is required')
+  body('coordinates.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('coordinates.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -110,9 +158,12 @@ router.put('/:id', protect, authorize('admin'), [
       });
     }
 
+    // The GeoJSON point is derived from coordinates
+    const { geoLocation, ...updateData } = req.body;
+
     const station = await Station.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updateData,
       { new: true, runValidators: true }
     );
 
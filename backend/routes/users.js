@@ -1,8 +1,12 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Ride = require('../models/Ride');
+const Notification = require('../models/Notification');
 const { protect, authorize } = require('../middleware/auth');
+const { notify } = require('../services/notifications');
+const { revokeUserSessions } = require('../services/sessions');
+const { TYPES: NOTIFICATION_TYPES } = require('../services/notifications/templates');
 
 const router = express.Router();
 
@@ -42,6 +46,245 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @desc    Get current user's notifications
+// @route   GET /api/users/me/notifications
+// @access  Private
+router.get('/me/notifications', protect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { userId: req.user._id };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while fetching notifications' 
+    });
+  }
+});
+
+// @desc    Mark all of current user's notifications as read
+// @route   POST /api/users/me/notifications/read-all
+// @access  Private
+router.post('/me/notifications/read-all', protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`
+    });
+  } catch (error) {
+    console.error('Read all notifications error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while updating notifications' 
+    });
+  }
+});
+
+// @desc    Get current user's notification preferences
+// @route   GET /api/users/me/notifications/preferences
+// @access  Private
+router.get('/me/notifications/preferences', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences +pushTokens');
+
+    res.json({
+      success: true,
+      data: {
+        ...user.notificationPreferences.toObject(),
+        pushDevices: user.pushTokens.length,
+        types: NOTIFICATION_TYPES
+      }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while fetching notification preferences' 
+    });
+  }
+});
+
+// @desc    Update current user's notification preferences
+// @route   PUT /api/users/me/notifications/preferences
+// @access  Private
+router.put('/me/notifications/preferences', protect, [
+  body('email').optional().isBoolean().withMessage('email must be a boolean'),
+  body('sms').optional().isBoolean().withMessage('sms must be a boolean'),
+  body('push').optional().isBoolean().withMessage('push must be a boolean'),
+  body('mutedTypes').optional().isArray().withMessage('mutedTypes must be an array'),
+  body('mutedTypes.*').isIn(NOTIFICATION_TYPES).withMessage('Unknown notification type')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const updateFields = {};
+    ['email', 'sms', 'push'].forEach(channel => {
+      if (req.body[channel] !== undefined) {
+        updateFields[`notificationPreferences.${channel}`] = req.body[channel] === true || req.body[channel] === 'true';
+      }
+    });
+    if (req.body.mutedTypes) {
+      updateFields['notificationPreferences.mutedTypes'] = [...new Set(req.body.mutedTypes)];
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updateFields,
+      { new: true, runValidators: true }
+    ).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      data: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while updating notification preferences' 
+    });
+  }
+});
+
+// @desc    Register a device for push notifications
+// @route   POST /api/users/me/notifications/push-tokens
+// @access  Private
+router.post('/me/notifications/push-tokens', protect, [
+  body('token').matches(/^Expo(nent)?PushToken\[.+\]$/).withMessage('Please provide a valid Expo push token')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { pushTokens: req.body.token } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered for push notifications'
+    });
+  } catch (error) {
+    console.error('Register push token error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while registering device' 
+    });
+  }
+});
+
+// @desc    Unregister a device from push notifications
+// @route   DELETE /api/users/me/notifications/push-tokens
+// @access  Private
+router.delete('/me/notifications/push-tokens', protect, [
+  body('token').notEmpty().withMessage('Push token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $pull: { pushTokens: req.body.token } });
+
+    res.json({
+      success: true,
+      message: 'Device unregistered from push notifications'
+    });
+  } catch (error) {
+    console.error('Unregister push token error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while unregistering device' 
+    });
+  }
+});
+
+// @desc    Mark one of current user's notifications as read
+// @route   PATCH /api/users/me/notifications/:id/read
+// @access  Private
+router.patch('/me/notifications/:id/read', protect, [
+  param('id').isMongoId().withMessage('Invalid notification ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Notification not found' 
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Read notification error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while updating notification' 
+    });
+  }
+});
+
 // @desc    Get single user
 // @route   GET /api/users/:id
 // @access  Private
@@ -82,7 +325,7 @@ router.get('/:id', protect, async (req, res) => {
 router.put('/:id', protect, authorize('admin'), [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
+  body('role').optional().isIn(['user', 'admin', 'technician']).withMessage('Invalid role'),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
   body('phone').optional().matches(/^[0-9]{10}$/).withMessage('Please provide a valid 10-digit phone number')
 ], async (req, res) => {
@@ -96,6 +339,14 @@ router.put('/:id', protect, authorize('admin'), [
       });
     }
 
+    const previous = await User.findById(req.params.id).select('role isActive');
+    if (!previous) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found' 
+      });
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -109,6 +360,15 @@ router.put('/:id', protect, authorize('admin'), [
       });
     }
 
+    // Tell the user about changes to their access
+    if (user.role !== previous.role) {
+      notify(user._id, 'role-changed', { role: user.role });
+    }
+    if (previous.isActive && !user.isActive) {
+      await revokeUserSessions(user._id, 'deactivated');
+      notify(user._id, 'account-deactivated');
+    }
+
     res.json({
       success: true,
       data: user
@@ -140,6 +400,9 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    await revokeUserSessions(user._id, 'deactivated');
+    notify(user._id, 'account-deactivated');
+
     res.json({
       success: true,
       message: 'User deactivated successfully',
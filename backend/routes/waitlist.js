@@ -0,0 +1,114 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { protect } = require('../middleware/auth');
+const { joinWaitlist } = require('../services/waitlist');
+
+const router = express.Router();
+
+// @desc    Join an empty station's waitlist
+// @route   POST /api/waitlist
+// @access  Private
+router.post('/', protect, [
+  body('stationId').notEmpty().withMessage('Station ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const entry = await joinWaitlist(req.user, req.body.stationId);
+    await entry.populate('stationId', 'name location');
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist; you will be notified when a cycle is returned',
+      data: {
+        entry,
+        position: await entry.getPosition()
+      }
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while joining waitlist'
+    });
+  }
+});
+
+// @desc    Get user's waitlist entries still waiting, with their queue positions
+// @route   GET /api/waitlist/my
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      userId: req.user._id,
+      status: 'waiting',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('stationId', 'name location')
+      .sort({ createdAt: 1 });
+
+    const data = await Promise.all(entries.map(async entry => ({
+      entry,
+      position: await entry.getPosition()
+    })));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching waitlist'
+    });
+  }
+});
+
+// @desc    Leave a station's waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, status: 'waiting' },
+      { status: 'cancelled', endedAt: new Date() },
+      { new: true }
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You have left the waitlist',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while leaving waitlist'
+    });
+  }
+});
+
+module.exports = router;
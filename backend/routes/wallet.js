@@ -0,0 +1,97 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Wallet = require('../models/Wallet');
+const Transaction = require('../models/Transaction');
+const { protect } = require('../middleware/auth');
+const { MIN_RIDE_BALANCE } = require('../services/billing');
+
+const router = express.Router();
+
+// @desc    Get wallet balance
+// @route   GET /api/wallet
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const wallet = await Wallet.getOrCreate(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        balance: wallet.balance,
+        currency: wallet.currency,
+        minRideBalance: MIN_RIDE_BALANCE,
+        canStartRide: wallet.balance >= MIN_RIDE_BALANCE
+      }
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wallet'
+    });
+  }
+});
+
+// @desc    Get wallet statement
+// @route   GET /api/wallet/statement
+// @access  Private
+router.get('/statement', protect, [
+  query('type').optional().isIn(Transaction.TYPES).withMessage(`Type must be one of ${Transaction.TYPES.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { userId: req.user._id };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const transactions = await Transaction.find(filter)
+      .populate('rideId', 'startTime endTime duration')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Transaction.countDocuments(filter);
+    const wallet = await Wallet.getOrCreate(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        balance: wallet.balance,
+        currency: wallet.currency,
+        transactions
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get wallet statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wallet statement'
+    });
+  }
+});
+
+module.exports = router;
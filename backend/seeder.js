@@ -20,21 +20,27 @@ const users = [
     email: 'admin@smartcycle.com',
     password: 'admin123',
     role: 'admin',
-    phone: '1234567890'
+    phone: '1234567890',
+    emailVerified: true,
+    phoneVerified: true
   },
   {
     name: 'John Doe',
     email: 'john@example.com',
     password: 'user123',
     role: 'user',
-    phone: '9876543210'
+    phone: '9876543210',
+    emailVerified: true,
+    phoneVerified: true
   },
   {
     name: 'Jane Smith',
     email: 'jane@example.com',
     password: 'user123',
     role: 'user',
-    phone: '5555555555'
+    phone: '5555555555',
+    emailVerified: true,
+    phoneVerified: true
   }
 ];
 
@@ -51,12 +51,37 @@ const cycleRoutes = require('./routes/cycles');
 const rideRoutes = require('./routes/rides');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
+const reservationRoutes = require('./routes/reservations');
+const walletRoutes = require('./routes/wallet');
+const paymentRoutes = require('./routes/payments');
+const passRoutes = require('./routes/passes');
+const promoRoutes = require('./routes/promos');
+const damageReportRoutes = require('./routes/damageReports');
+const maintenanceRoutes = require('./routes/maintenance');
+const realtimeRoutes = require('./routes/realtime');
+const waitlistRoutes = require('./routes/waitlist');
+
+// Import background jobs
+const { startScheduler } = require('./services/scheduler');
+const { registerDefaultJobs } = require('./services/scheduler/jobs');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 
+// Without a payment provider the API still runs; top-ups answer 503
+if (!require('./services/payments').isPaymentConfigured()) {
+  console.warn('⚠️  No payment provider configured (PAYMENT_PROVIDER); wallet top-ups are disabled');
+}
+
 const app = express();
 
+// Behind a reverse proxy, trust it for the client IP (login throttling is per IP).
+// Set TRUST_PROXY to the number of proxy hops, or a subnet such as 'loopback'.
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors({
   origin: [
@@ -72,7 +97,12 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
   credentials: true
 }));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so payment webhooks can verify provider signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Database connection
@@ -80,9 +110,57 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/smartcycl
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  backfillStationGeoLocations();
+  backfillUserVerification();
+  backfillLegacyRideFares();
+  registerDefaultJobs();
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    startScheduler();
+  }
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
+// Give stations created before geospatial search their GeoJSON point
+async function backfillStationGeoLocations() {
+  try {
+    const Station = require('./models/Station');
+    const updated = await Station.backfillGeoLocations();
+    if (updated > 0) {
+      console.log(`📍 Added GeoJSON locations to ${updated} station(s)`);
+    }
+  } catch (error) {
+    console.error('Station location backfill error:', error);
+  }
+}
+
+// Treat users created before account verification as verified
+async function backfillUserVerification() {
+  try {
+    const User = require('./models/User');
+    const updated = await User.backfillVerification();
+    if (updated > 0) {
+      console.log(`✅ Marked ${updated} existing user(s) as verified`);
+    }
+  } catch (error) {
+    console.error('User verification backfill error:', error);
+  }
+}
+
+// Give rides that ended before fares were stored an estimated fare
+async function backfillLegacyRideFares() {
+  try {
+    const Ride = require('./models/Ride');
+    const updated = await Ride.backfillLegacyFares();
+    if (updated > 0) {
+      console.log(`💰 Estimated fares for ${updated} ride(s) from before stored fares`);
+    }
+  } catch (error) {
+    console.error('Ride fare backfill error:', error);
+  }
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
@@ -90,6 +168,15 @@ app.use('/api/stations', stationRoutes);
 app.use('/api/cycles', cycleRoutes);
 app.use('/api/rides', rideRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/passes', passRoutes);
+app.use('/api/promos', promoRoutes);
+app.use('/api/damage-reports', damageReportRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/waitlist', waitlistRoutes);
 
 // Test endpoint for debugging
 app.get('/api/test', (req, res) => {
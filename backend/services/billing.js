@@ -0,0 +1,198 @@
+const Tariff = require('../models/Tariff');
+const Ride = require('../models/Ride');
+const Wallet = require('../models/Wallet');
+const Subscription = require('../models/Subscription');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { calculateFare } = require('../utils/pricing');
+const { notify } = require('./notifications');
+
+// Riders need at least this much in their wallet to start a ride
+const MIN_RIDE_BALANCE = parseFloat(process.env.MIN_RIDE_BALANCE) || 0;
+// Riders are warned when a ride charge takes their balance below this
+const LOW_BALANCE = process.env.NOTIFY_LOW_BALANCE !== undefined
+  ? parseFloat(process.env.NOTIFY_LOW_BALANCE)
+  : 50;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Find the pass that covers a ride started at `startTime`, if it has rides left
+const findCoveringPass = async (userId, startTime) => {
+  const subscription = await Subscription.findActiveForUser(userId, startTime);
+  if (!subscription) return null;
+  if (subscription.rideLimit !== null && subscription.ridesUsed >= subscription.rideLimit) {
+    return null;
+  }
+  return subscription;
+};
+
+// Find the promo to apply to a ride. A code given with the ride wins over one
+// the rider applied to their account earlier; account codes that can no longer
+// be used are dropped.
+const findPromo = async (user, promoCode) => {
+  if (promoCode) {
+    const promo = await PromoCode.findOne({ code: promoCode.trim().toUpperCase() });
+    const reason = promo ? await promo.checkEligibility(user) : 'Promo code not found';
+    if (reason) {
+      const error = new Error(reason);
+      error.statusCode = 400;
+      throw error;
+    }
+    return { promo, redemption: null };
+  }
+
+  let redemption = await PromoRedemption.findPendingForUser(user._id);
+  while (redemption) {
+    const reason = redemption.promoId
+      ? await redemption.promoId.checkEligibility(user, { pendingRedemption: redemption })
+      : 'Promo code not found';
+    if (!reason) {
+      return { promo: redemption.promoId, redemption };
+    }
+
+    redemption.status = 'cancelled';
+    redemption.slot = null;
+    await redemption.save();
+    redemption = await PromoRedemption.findPendingForUser(user._id);
+  }
+
+  return null;
+};
+
+// Work out the fare for a ride that is being closed at endTime. Pass benefits
+// are applied first, then any promo; whatever is left is priced by the tariff.
+const priceRide = async ({
+  user,
+  ride,
+  durationMinutes,
+  endTime,
+  promoCode,
+  graceMinutes = 0,
+  lostCycle = false
+}) => {
+  const tariff = await Tariff.getActive(endTime);
+  const chargedToday = await Ride.sumFaresSince(user._id, startOfDay(endTime));
+  const pass = await findCoveringPass(user._id, ride.startTime);
+  const applied = await findPromo(user, promoCode);
+
+  const fare = calculateFare(tariff, {
+    durationMinutes,
+    role: user.role,
+    chargedToday,
+    includedMinutes: pass ? pass.includedMinutesPerRide : 0,
+    waiveUnlockFee: !!pass,
+    promo: applied ? applied.promo : null,
+    graceMinutes,
+    lostCycle
+  });
+
+  return {
+    ...fare,
+    subscriptionId: pass ? pass._id : null,
+    promoId: applied ? applied.promo._id : null,
+    promoCode: applied ? applied.promo.code : null,
+    redemptionId: applied && applied.redemption ? applied.redemption._id : null
+  };
+};
+
+// Record the promo on a completed ride, claiming a slot against its global
+// limit and, for a code given with the ride, one of the rider's own uses
+const redeemPromo = async (ride) => {
+  const { fare } = ride;
+  const claimed = await PromoCode.claimRedemption(fare.promoId);
+  if (!claimed) {
+    throw new Error('Promo code has reached its redemption limit');
+  }
+
+  const redeemed = {
+    status: 'redeemed',
+    rideId: ride._id,
+    discountAmount: fare.promoDiscount,
+    freeMinutes: fare.promoMinutes,
+    redeemedAt: new Date()
+  };
+
+  if (fare.redemptionId) {
+    await PromoRedemption.updateOne({ _id: fare.redemptionId }, redeemed);
+    return async () => {
+      await PromoRedemption.updateOne(
+        { _id: fare.redemptionId },
+        { status: 'pending', rideId: null, discountAmount: 0, freeMinutes: 0, redeemedAt: null }
+      );
+      await PromoCode.updateOne({ _id: fare.promoId }, { $inc: { redemptionCount: -1 } });
+    };
+  }
+
+  const redemption = await PromoRedemption.claimSlot(claimed, ride.userId, { appliedTo: 'ride', ...redeemed });
+  if (!redemption) {
+    await PromoCode.updateOne({ _id: fare.promoId }, { $inc: { redemptionCount: -1 } });
+    throw new Error('You have already used this promo code');
+  }
+  return async () => {
+    await PromoRedemption.deleteOne({ _id: redemption._id });
+    await PromoCode.updateOne({ _id: fare.promoId }, { $inc: { redemptionCount: -1 } });
+  };
+};
+
+// Settle a completed ride: use up a pass ride and promo if they applied, then
+// debit the fare from the rider's wallet. Rides are charged even if that takes
+// the balance below zero, since the ride has already happened. If any step
+// fails, the earlier ones are undone before the error is rethrown.
+const chargeRide = async (ride) => {
+  const fare = ride.fare || {};
+  const undo = [];
+
+  try {
+    if (fare.subscriptionId) {
+      const consumed = await Subscription.consumeRide(fare.subscriptionId);
+      if (!consumed) {
+        throw new Error('Ride pass has no rides left');
+      }
+      undo.push(() => Subscription.updateOne(
+        { _id: fare.subscriptionId },
+        { $inc: { ridesUsed: -1 } }
+      ));
+    }
+
+    if (fare.promoId) {
+      undo.push(await redeemPromo(ride));
+    }
+
+    if (!fare.total) return null;
+
+    const transaction = await Wallet.applyTransaction(ride.userId, {
+      type: 'ride-charge',
+      amount: -fare.total,
+      reference: `ride:${ride._id}`,
+      rideId: ride._id,
+      description: `Ride of ${ride.duration} min`,
+      allowNegative: true
+    });
+
+    // Warn once, on the charge that crosses the threshold
+    if (transaction.balanceAfter < LOW_BALANCE && transaction.balanceAfter - transaction.amount >= LOW_BALANCE) {
+      notify(ride.userId, 'low-balance', {
+        balance: transaction.balanceAfter,
+        currency: transaction.currency,
+        threshold: LOW_BALANCE
+      });
+    }
+
+    return transaction;
+  } catch (error) {
+    for (const step of undo.reverse()) {
+      await step();
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  MIN_RIDE_BALANCE,
+  priceRide,
+  chargeRide
+};
@@ -0,0 +1,61 @@
+const { getStorage } = require('./storage');
+const { SEVERITY_THRESHOLD, takeOutOfService } = require('./maintenance');
+
+const MAX_PHOTOS = parseInt(process.env.DAMAGE_PHOTO_MAX_COUNT) || 4;
+const MAX_PHOTO_MB = parseFloat(process.env.DAMAGE_PHOTO_MAX_MB) || 5;
+
+// Save uploaded photos with the configured storage backend. If one fails,
+// the ones already saved are removed again.
+const savePhotos = async (files, folder) => {
+  const storage = getStorage();
+  const photos = [];
+
+  try {
+    for (const file of files || []) {
+      const { key } = await storage.save({
+        buffer: file.buffer,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        folder
+      });
+      photos.push({ storage: storage.name, key, mimeType: file.mimetype, size: file.size });
+    }
+  } catch (error) {
+    await removePhotos(photos);
+    throw error;
+  }
+
+  return photos;
+};
+
+// The stored photo as a buffer, or null if the backend no longer has it
+const readPhoto = (photo) => getStorage(photo.storage).read(photo.key);
+
+const removePhotos = async (photos) => {
+  for (const photo of photos) {
+    try {
+      await getStorage(photo.storage).remove(photo.key);
+    } catch (error) {
+      console.error('Remove photo error:', error);
+    }
+  }
+};
+
+// Take the cycle out of service when a report is severe enough
+const applySeverity = async (report, cycle) => {
+  if (!report.isAtLeast(SEVERITY_THRESHOLD)) return false;
+  if (!(await takeOutOfService(cycle._id))) return false;
+
+  report.removedFromService = true;
+  await report.save();
+  return true;
+};
+
+module.exports = {
+  MAX_PHOTOS,
+  MAX_PHOTO_MB,
+  savePhotos,
+  readPhoto,
+  removePhotos,
+  applySeverity
+};
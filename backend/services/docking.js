@@ -0,0 +1,95 @@
+const Cycle = require('../models/Cycle');
+const Station = require('../models/Station');
+
+// Ride time not charged after a rider is turned away from a full station
+const GRACE_MINUTES = process.env.STATION_FULL_GRACE_MINUTES !== undefined
+  ? parseInt(process.env.STATION_FULL_GRACE_MINUTES)
+  : 10;
+// How far to look for stations with a free dock
+const ALTERNATIVE_RADIUS = parseFloat(process.env.STATION_FULL_SEARCH_RADIUS) || 3000;
+
+// Cycles taking up a dock at a station; a cycle out on a ride does not hold one
+const countDockedCycles = (stationId, { excludeCycleId } = {}) => {
+  const filter = {
+    stationId,
+    isActive: true,
+    status: { $nin: Station.UNDOCKED_STATUSES }
+  };
+  if (excludeCycleId) filter._id = { $ne: excludeCycleId };
+
+  return Cycle.countDocuments(filter);
+};
+
+// Nearby stations with at least `minFreeDocks` free docks, nearest first
+const findAlternatives = async (station, { limit = 3, minFreeDocks = 1 } = {}) => {
+  const stations = await Station.findNearby({
+    latitude: station.coordinates.latitude,
+    longitude: station.coordinates.longitude,
+    radius: ALTERNATIVE_RADIUS,
+    minFreeDocks,
+    limit: limit + 1
+  });
+
+  return stations
+    .filter(alternative => alternative._id.toString() !== station._id.toString())
+    .slice(0, limit)
+    .map(({ _id, name, location, coordinates, distance, freeDocks, availableCycles }) => ({
+      _id,
+      name,
+      location,
+      coordinates,
+      distance,
+      freeDocks,
+      availableCycles
+    }));
+};
+
+// Check a station can take `count` more cycles (one by default). Returns null
+// when there are enough free docks, otherwise the details for a STATION_FULL
+// response. `excludeCycleId` skips a cycle that is already docked there.
+const checkDockAvailable = async (station, { excludeCycleId, count = 1 } = {}) => {
+  const dockedCycles = await countDockedCycles(station._id, { excludeCycleId });
+  if (dockedCycles + count <= station.capacity) return null;
+
+  return {
+    station: {
+      _id: station._id,
+      name: station.name,
+      capacity: station.capacity,
+      dockedCycles
+    },
+    requestedDocks: count,
+    alternatives: await findAlternatives(station, { minFreeDocks: count })
+  };
+};
+
+// Check an admin can place `cycle` (null for a new cycle) at `stationId`.
+// Returns the STATION_FULL details when the station has no free dock.
+// Cycles out on a ride and cycles staying at their station need no check.
+const checkCycleMove = async (cycle, stationId) => {
+  if (!stationId) return null;
+  if (cycle && (cycle.status === 'in-use' || String(cycle.stationId) === String(stationId))) {
+    return null;
+  }
+
+  const station = await Station.findById(stationId);
+  if (!station) return null;
+
+  return checkDockAvailable(station);
+};
+
+// Minutes of a ride to leave unbilled because the rider was sent on from a
+// full station at `turnedAwayAt`
+const graceMinutesFor = (turnedAwayAt, endTime) => {
+  if (!turnedAwayAt) return 0;
+  const minutes = Math.ceil((endTime.getTime() - turnedAwayAt.getTime()) / (1000 * 60));
+  return Math.max(0, Math.min(minutes, GRACE_MINUTES));
+};
+
+module.exports = {
+  GRACE_MINUTES,
+  countDockedCycles,
+  checkDockAvailable,
+  checkCycleMove,
+  graceMinutesFor
+};
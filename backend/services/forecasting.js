@@ -0,0 +1,247 @@
+const Cycle = require('../models/Cycle');
+const DemandForecast = require('../models/DemandForecast');
+const Ride = require('../models/Ride');
+const Station = require('../models/Station');
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+const { HOURS_PER_WEEK } = DemandForecast;
+
+// Weeks of ride history to learn from
+const HISTORY_WEEKS = parseInt(process.env.FORECAST_HISTORY_WEEKS) || 8;
+// Weight of each newer week when smoothing; higher follows recent weeks more closely
+const SMOOTHING = process.env.FORECAST_SMOOTHING !== undefined
+  ? parseFloat(process.env.FORECAST_SMOOTHING)
+  : 0.3;
+// Hours of the week are counted in this timezone, so "Monday 8am" means local time
+const TIMEZONE = process.env.FORECAST_TIMEZONE || 'UTC';
+// Longest window a forecast can cover, counted from now
+const MAX_HOURS = parseInt(process.env.FORECAST_MAX_HOURS) || 72;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const weekFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  weekday: 'short',
+  hour: 'numeric',
+  hourCycle: 'h23'
+});
+
+// Hour of the week (0 = Sunday 00:00) of a date in TIMEZONE
+const hourOfWeek = (date) => {
+  const parts = Object.fromEntries(weekFormat.formatToParts(date).map(({ type, value }) => [type, value]));
+  return WEEKDAYS.indexOf(parts.weekday) * 24 + parseInt(parts.hour) % 24;
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Rides per station, hour of week and week number since `start`
+const countRides = (stationField, timeField, start, now) => Ride.aggregate([
+  {
+    $match: {
+      status: { $ne: 'cancelled' },
+      [timeField]: { $gte: start, $lt: now },
+      [stationField]: { $ne: null }
+    }
+  },
+  {
+    $group: {
+      _id: {
+        stationId: `$${stationField}`,
+        hourOfWeek: {
+          $add: [
+            { $multiply: [{ $subtract: [{ $dayOfWeek: { date: `$${timeField}`, timezone: TIMEZONE } }, 1] }, 24] },
+            { $hour: { date: `$${timeField}`, timezone: TIMEZONE } }
+          ]
+        },
+        week: { $floor: { $divide: [{ $subtract: [`$${timeField}`, start] }, WEEK_MS] } }
+      },
+      rides: { $sum: 1 }
+    }
+  }
+]);
+
+// Seasonal average of each hour of the week, then exponentially smoothed
+// through the weeks oldest first so recent weeks count for more
+const learnRates = (rows, stationId, weeks) => {
+  const series = Array.from({ length: HOURS_PER_WEEK }, () => new Array(weeks).fill(0));
+
+  rows
+    .filter(row => row._id.stationId.toString() === stationId)
+    .forEach(({ _id, rides }) => {
+      if (_id.week >= 0 && _id.week < weeks) series[_id.hourOfWeek][_id.week] = rides;
+    });
+
+  return series.map(counts => {
+    let level = counts.reduce((sum, count) => sum + count, 0) / weeks;
+    counts.forEach(count => {
+      level = SMOOTHING * count + (1 - SMOOTHING) * level;
+    });
+    return round(level, 3);
+  });
+};
+
+// Relearn every active station's hourly pickup and drop-off rates from ride history
+const trainForecasts = async (now = new Date()) => {
+  const first = await Ride.findOne({
+    status: { $ne: 'cancelled' },
+    startTime: { $gte: new Date(now.getTime() - HISTORY_WEEKS * WEEK_MS), $lt: now }
+  }).sort({ startTime: 1 }).select('startTime');
+
+  // Only use whole weeks the system has been running, so a young deployment
+  // is not averaged down by weeks before its first ride
+  const weeks = first
+    ? Math.min(HISTORY_WEEKS, Math.max(1, Math.ceil((now - first.startTime) / WEEK_MS)))
+    : 1;
+  const start = new Date(now.getTime() - weeks * WEEK_MS);
+
+  const [stations, pickups, dropoffs] = await Promise.all([
+    Station.find({ isActive: true }).select('_id'),
+    countRides('startStation', 'startTime', start, now),
+    countRides('endStation', 'endTime', start, now)
+  ]);
+
+  if (stations.length === 0) return { stations: 0, weeks };
+
+  await DemandForecast.bulkWrite(stations.map(station => {
+    const id = station._id.toString();
+    return {
+      updateOne: {
+        filter: { stationId: station._id },
+        update: {
+          pickups: learnRates(pickups, id, weeks),
+          dropoffs: learnRates(dropoffs, id, weeks),
+          timezone: TIMEZONE,
+          weeks,
+          rides: pickups
+            .filter(row => row._id.stationId.toString() === id)
+            .reduce((sum, row) => sum + row.rides, 0),
+          trainedAt: now,
+          updatedAt: now
+        },
+        upsert: true
+      }
+    };
+  }));
+
+  return { stations: stations.length, weeks };
+};
+
+// Forecasts by station id, training first if none exist yet
+const loadForecasts = async (now) => {
+  let forecasts = await DemandForecast.find();
+  if (forecasts.length === 0) {
+    await trainForecasts(now);
+    forecasts = await DemandForecast.find();
+  }
+  return new Map(forecasts.map(forecast => [forecast.stationId.toString(), forecast]));
+};
+
+// Step a station's expected stock hour by hour from now to the end of the
+// window, noting when it first runs out
+const projectStation = (station, forecast, stock, { now, start, end }) => {
+  const hourly = [];
+  let stockOutAt = stock <= 0 ? now : null;
+  let atStart = stock;
+  let netOut = 0;
+  let cyclesNeeded = 0;
+
+  for (let time = Math.floor(now.getTime() / HOUR_MS) * HOUR_MS; time < end.getTime(); time += HOUR_MS) {
+    const slot = hourOfWeek(new Date(time));
+    // The current hour is already partly over
+    const from = Math.max(time, now.getTime());
+    const share = (time + HOUR_MS - from) / HOUR_MS;
+    const pickups = forecast ? forecast.pickups[slot] * share : 0;
+    const dropoffs = forecast ? forecast.dropoffs[slot] * share : 0;
+    const net = dropoffs - pickups;
+
+    if (stockOutAt === null && net < 0 && stock + net <= 0) {
+      stockOutAt = new Date(from + (stock / -net) * share * HOUR_MS);
+    }
+    stock = Math.max(0, Math.min(station.capacity, stock + net));
+
+    if (time + HOUR_MS <= start.getTime()) {
+      atStart = stock;
+      continue;
+    }
+
+    netOut -= net;
+    cyclesNeeded = Math.max(cyclesNeeded, netOut);
+    hourly.push({
+      hour: new Date(time),
+      pickups: round(pickups),
+      dropoffs: round(dropoffs),
+      projectedStock: round(stock, 1)
+    });
+  }
+
+  const totals = hourly.reduce((sum, row) => ({
+    pickups: sum.pickups + row.pickups,
+    dropoffs: sum.dropoffs + row.dropoffs
+  }), { pickups: 0, dropoffs: 0 });
+  const needed = Math.ceil(cyclesNeeded);
+
+  return {
+    predictedPickups: round(totals.pickups, 1),
+    predictedDropoffs: round(totals.dropoffs, 1),
+    projectedAtStart: round(atStart, 1),
+    // Cycles the station must hold at the start to cover the window's peak outflow
+    cyclesNeeded: needed,
+    shortfall: Math.max(0, needed - Math.floor(atStart)),
+    stockOutAt,
+    hourly
+  };
+};
+
+// Predicted demand at each active station (or one) for `hours` hours from
+// `start`, with the cycles needed to cover it and when stock is expected to run out
+const forecastDemand = async ({ start, hours = 24, stationId = null, now = new Date() } = {}) => {
+  const windowStart = start && start > now ? start : now;
+  const windowEnd = new Date(Math.min(
+    windowStart.getTime() + hours * HOUR_MS,
+    now.getTime() + MAX_HOURS * HOUR_MS
+  ));
+
+  const filter = { isActive: true };
+  if (stationId) filter._id = stationId;
+
+  const [stations, forecasts, available] = await Promise.all([
+    Station.find(filter).select('name location capacity'),
+    loadForecasts(now),
+    Cycle.aggregate([
+      { $match: { status: 'available', isActive: true } },
+      { $group: { _id: '$stationId', count: { $sum: 1 } } }
+    ])
+  ]);
+  const stock = new Map(available.map(row => [String(row._id), row.count]));
+
+  const results = stations.map(station => {
+    const id = station._id.toString();
+    const forecast = forecasts.get(id);
+    const availableCycles = stock.get(id) || 0;
+
+    return {
+      station: { _id: station._id, name: station.name, location: station.location, capacity: station.capacity },
+      availableCycles,
+      trainedAt: forecast ? forecast.trainedAt : null,
+      ...projectStation(station, forecast, availableCycles, { now, start: windowStart, end: windowEnd })
+    };
+  });
+
+  // Stations that will come up short first
+  const stockOutTime = (result) => (result.stockOutAt ? result.stockOutAt.getTime() : Number.MAX_SAFE_INTEGER);
+  results.sort((a, b) => b.shortfall - a.shortfall || stockOutTime(a) - stockOutTime(b));
+
+  return {
+    start: windowStart,
+    end: windowEnd,
+    timezone: TIMEZONE,
+    stations: results
+  };
+};
+
+module.exports = {
+  MAX_HOURS,
+  trainForecasts,
+  forecastDemand
+};
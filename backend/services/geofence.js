@@ -0,0 +1,80 @@
+const GeofenceViolation = require('../models/GeofenceViolation');
+const Station = require('../models/Station');
+
+// GPS error is forgiven up to this many meters on top of the station radius
+const MAX_ACCURACY_ALLOWANCE = parseFloat(process.env.GEOFENCE_ACCURACY_ALLOWANCE) || 25;
+// A tracked point older than this is too stale to stand in for a reported position
+const TRACK_MAX_AGE_SECONDS = parseInt(process.env.GEOFENCE_TRACK_MAX_AGE) || 120;
+
+// The rider's position when ending a ride: the location sent with the
+// request, or failing that the ride's most recent GPS track point
+const locateRider = (trackedRide, location, now = new Date()) => {
+  if (location) {
+    return { ...location, source: 'reported' };
+  }
+
+  const coordinates = (trackedRide.track && trackedRide.track.coordinates) || [];
+  const offsets = trackedRide.trackOffsets || [];
+  if (coordinates.length === 0) return null;
+
+  const [longitude, latitude] = coordinates[coordinates.length - 1];
+  const recordedAt = trackedRide.startTime.getTime() + offsets[offsets.length - 1] * 1000;
+  if (now.getTime() - recordedAt > TRACK_MAX_AGE_SECONDS * 1000) return null;
+
+  return { latitude, longitude, source: 'track' };
+};
+
+// Check that the rider is within the station's geofence. Out-of-zone attempts
+// are always logged, including ones let through by an admin override.
+const checkRideEnd = async ({ user, ride, station, position, now = new Date() }) => {
+  const distance = Math.round(station.distanceTo(position));
+  const allowance = Math.min(position.accuracy || 0, MAX_ACCURACY_ALLOWANCE);
+  const allowedRadius = station.getGeofenceRadius() + allowance;
+
+  if (distance <= allowedRadius) {
+    return { allowed: true, distance, allowedRadius };
+  }
+
+  const override = ride.geofenceOverride;
+  const overridden = Boolean(override && override.expiresAt && override.expiresAt > now);
+
+  await GeofenceViolation.create({
+    userId: user._id,
+    rideId: ride._id,
+    stationId: station._id,
+    location: {
+      latitude: position.latitude,
+      longitude: position.longitude,
+      accuracy: position.accuracy
+    },
+    source: position.source,
+    distance,
+    allowedRadius,
+    overridden
+  });
+
+  if (overridden) {
+    return { allowed: true, overridden, distance, allowedRadius };
+  }
+
+  const nearest = await Station.findNearest(position, 3);
+
+  return {
+    allowed: false,
+    distance,
+    allowedRadius,
+    nearestStations: nearest.map(({ station: s, distance: d }) => ({
+      _id: s._id,
+      name: s.name,
+      location: s.location,
+      coordinates: s.coordinates,
+      distance: d,
+      geofenceRadius: s.getGeofenceRadius()
+    }))
+  };
+};
+
+module.exports = {
+  locateRider,
+  checkRideEnd
+};
@@ -0,0 +1,156 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+const { notifyAdmins } = require('./notifications');
+
+// Failures on one account before it is locked
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+// Failures from one IP address, across all accounts, before it is locked
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50;
+// Failures further apart than this start the count again
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+// First lockout; each further one doubles, up to a day
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+// Failures allowed without a delay; after that the wait doubles each time
+const DELAY_AFTER = process.env.LOGIN_DELAY_AFTER !== undefined
+  ? parseInt(process.env.LOGIN_DELAY_AFTER)
+  : 2;
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30;
+// Distinct accounts failing from one IP within the window before admins are alerted
+const IP_ACCOUNT_ALERT = parseInt(process.env.LOGIN_IP_ACCOUNT_ALERT) || 10;
+
+const MINUTE_MS = 60 * 1000;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const throttledError = (retryAfter, locked) => {
+  const error = new Error(locked
+    ? `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+    : `Too many failed login attempts. Try again in ${retryAfter} second(s).`);
+  error.statusCode = 429;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const logSecurityEvent = (type, fields = {}) => SecurityEvent.create({ type, ...fields });
+
+// Refuse a login attempt while the account or IP is locked or waiting out a delay
+const checkLogin = async ({ email, ip, now = new Date() }) => {
+  const throttles = await LoginThrottle.find({ key: { $in: [accountKey(email), ipKey(ip)] } });
+
+  let waitUntil = null;
+  let locked = false;
+  throttles.forEach(throttle => {
+    if (throttle.lockedUntil && throttle.lockedUntil > now && (!waitUntil || throttle.lockedUntil > waitUntil)) {
+      waitUntil = throttle.lockedUntil;
+      locked = true;
+    }
+    if (!locked && throttle.nextAttemptAt && throttle.nextAttemptAt > now && (!waitUntil || throttle.nextAttemptAt > waitUntil)) {
+      waitUntil = throttle.nextAttemptAt;
+    }
+  });
+
+  if (waitUntil) {
+    throw throttledError(Math.ceil((waitUntil.getTime() - now.getTime()) / 1000), locked);
+  }
+};
+
+// Count a failure against a key, locking it once it reaches `maxFailures`.
+// Returns the lock end when this failure caused a lockout.
+const countFailure = async (key, maxFailures, { delay, now }) => {
+  // Failures from an earlier window no longer count
+  await LoginThrottle.updateOne(
+    { key, lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MINUTES * MINUTE_MS) } },
+    { failures: 0 }
+  );
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (throttle.failures >= maxFailures) {
+    const minutes = Math.min(MAX_LOCK_MINUTES, LOCK_MINUTES * 2 ** throttle.lockCount);
+    const lockedUntil = new Date(now.getTime() + minutes * MINUTE_MS);
+    // Only the failure that reaches the limit first locks
+    const result = await LoginThrottle.updateOne(
+      { key, failures: { $gte: maxFailures } },
+      { failures: 0, nextAttemptAt: null, lockedUntil, $inc: { lockCount: 1 } }
+    );
+    return result.modifiedCount > 0 ? lockedUntil : null;
+  }
+
+  if (delay && throttle.failures > DELAY_AFTER) {
+    const seconds = Math.min(MAX_DELAY_SECONDS, 2 ** (throttle.failures - DELAY_AFTER - 1));
+    await LoginThrottle.updateOne({ key }, { nextAttemptAt: new Date(now.getTime() + seconds * 1000) });
+  }
+  return null;
+};
+
+// Alert admins once per window when one IP has failed on many accounts
+const checkSuspiciousIp = async (ip, now) => {
+  const since = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * MINUTE_MS);
+  const emails = await SecurityEvent.distinct('email', { type: 'login-failed', ip, createdAt: { $gte: since } });
+  if (emails.length < IP_ACCOUNT_ALERT) return;
+
+  const alerted = await SecurityEvent.exists({ type: 'suspicious-ip', ip, createdAt: { $gte: since } });
+  if (alerted) return;
+
+  await logSecurityEvent('suspicious-ip', { ip, details: { accounts: emails.length, since } });
+  notifyAdmins('suspicious-login', { ip, accounts: emails.length, minutes: FAILURE_WINDOW_MINUTES });
+};
+
+// Record a failed login: log it, count it against the account and the IP,
+// and look for one IP trying many accounts
+const recordFailure = async ({ email, ip, userAgent = null, userId = null, reason, now = new Date() }) => {
+  await logSecurityEvent('login-failed', { userId, email, ip, userAgent, details: { reason } });
+
+  const accountLock = await countFailure(accountKey(email), MAX_FAILURES, { delay: true, now });
+  if (accountLock) {
+    await logSecurityEvent('account-locked', { userId, email, ip, userAgent, details: { lockedUntil: accountLock } });
+  }
+
+  const ipLock = await countFailure(ipKey(ip), IP_MAX_FAILURES, { delay: false, now });
+  if (ipLock) {
+    await logSecurityEvent('ip-locked', { ip, userAgent, details: { lockedUntil: ipLock } });
+  }
+
+  await checkSuspiciousIp(ip, now);
+};
+
+// A successful login clears the account's failures. The IP's count stays, so
+// an attacker cannot reset it by signing into an account of their own.
+const recordSuccess = async ({ email }) => {
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+};
+
+// Lift an account's lockout and delay
+const unlockAccount = async (user, { unlockedBy = null } = {}) => {
+  const result = await LoginThrottle.deleteOne({ key: accountKey(user.email) });
+  await logSecurityEvent('account-unlocked', { userId: user._id, email: user.email, details: { unlockedBy } });
+  return result.deletedCount > 0;
+};
+
+// Accounts and IPs locked right now
+const listLockouts = async (now = new Date()) => {
+  const throttles = await LoginThrottle.find({ lockedUntil: { $gt: now } }).sort({ lockedUntil: -1 });
+  return throttles.map(throttle => {
+    const [kind, ...rest] = throttle.key.split(':');
+    return {
+      kind,
+      [kind === 'ip' ? 'ip' : 'email']: rest.join(':'),
+      lockedUntil: throttle.lockedUntil,
+      lockCount: throttle.lockCount
+    };
+  });
+};
+
+module.exports = {
+  checkLogin,
+  recordFailure,
+  recordSuccess,
+  unlockAccount,
+  listLockouts
+};
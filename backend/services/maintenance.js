@@ -0,0 +1,194 @@
+const Counter = require('../models/Counter');
+const Cycle = require('../models/Cycle');
+const DamageReport = require('../models/DamageReport');
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const Reservation = require('../models/Reservation');
+const ServiceInterval = require('../models/ServiceInterval');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Damage reports at or above this severity keep the cycle out of service
+const SEVERITY_THRESHOLD = process.env.DAMAGE_SEVERITY_THRESHOLD || 'high';
+
+// Move a docked cycle to maintenance. A cycle out on a ride is handled when
+// the ride ends (see statusAfterRide). Returns whether the cycle was moved.
+const takeOutOfService = async (cycleId) => {
+  const result = await Cycle.updateOne(
+    { _id: cycleId, status: { $in: ['available', 'reserved'] } },
+    { status: 'maintenance', updatedAt: new Date() }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  // Anyone holding the cycle loses the reservation rather than being sent to a broken cycle
+  await Reservation.updateMany(
+    { cycleId, status: 'active' },
+    { status: 'cancelled', endedAt: new Date() }
+  );
+  return true;
+};
+
+// Whether nothing is keeping the cycle in maintenance: no unfinished tickets
+// and no serious damage reports still open
+const isFitForService = async (cycleId, { excludeTicketId = null } = {}) => {
+  if (await MaintenanceTicket.hasOpenTicket(cycleId, excludeTicketId)) return false;
+  return !(await DamageReport.hasOpenReportAtLeast(cycleId, SEVERITY_THRESHOLD));
+};
+
+// Status a cycle should return to when a ride on it ends
+const statusAfterRide = async (cycleId) => (
+  await isFitForService(cycleId) ? 'available' : 'maintenance'
+);
+
+// Open a ticket for a cycle, linking the damage reports it covers, and take
+// the cycle out of service
+const createTicket = async ({
+  cycle,
+  type = 'repair',
+  title,
+  description,
+  priority,
+  damageReportIds = [],
+  assignedTo = null,
+  createdBy = null
+}) => {
+  const seq = await Counter.next('maintenance-ticket');
+
+  const ticket = new MaintenanceTicket({
+    ticketNumber: `MT-${String(seq).padStart(6, '0')}`,
+    cycleId: cycle._id,
+    damageReportIds,
+    type,
+    title,
+    description,
+    priority,
+    createdBy,
+    history: [{ status: 'open', by: createdBy }]
+  });
+
+  if (assignedTo) {
+    ticket.assignedTo = assignedTo;
+    ticket.transition('assigned', createdBy);
+  }
+
+  await ticket.save();
+
+  if (damageReportIds.length > 0) {
+    await DamageReport.updateMany(
+      { _id: { $in: damageReportIds }, status: 'open' },
+      { status: 'acknowledged' }
+    );
+    await DamageReport.updateMany(
+      { _id: { $in: damageReportIds } },
+      { ticketId: ticket._id }
+    );
+  }
+
+  await takeOutOfService(cycle._id);
+  return ticket;
+};
+
+// Resolve a ticket: record the outcome on the cycle and its linked reports,
+// and put the cycle back in service unless something else still needs fixing
+const resolveTicket = async (ticket, { summary, condition, resolvedBy }) => {
+  ticket.transition('resolved', resolvedBy);
+  ticket.resolution = { summary, condition };
+  await ticket.save();
+
+  await DamageReport.updateMany(
+    { _id: { $in: ticket.damageReportIds }, status: { $in: ['open', 'acknowledged'] } },
+    { status: 'resolved', triagedBy: resolvedBy, triagedAt: new Date() }
+  );
+
+  const cycle = await Cycle.findById(ticket.cycleId);
+  cycle.condition = condition;
+  cycle.lastMaintenance = new Date();
+  cycle.usage = { rides: 0, rideMinutes: 0, distance: 0 };
+  if (cycle.status === 'maintenance' && await isFitForService(cycle._id)) {
+    cycle.status = 'available';
+  }
+  cycle.updatedAt = new Date();
+  await cycle.save();
+
+  return cycle;
+};
+
+// How far a cycle is through its service interval. Each limit's progress is a
+// fraction (1 = due); the largest decides whether the cycle is due.
+const assessServiceDue = (cycle, interval, now = new Date()) => {
+  const usage = cycle.usage || {};
+  const progress = {};
+
+  if (interval.rideMinutes) progress.rideMinutes = (usage.rideMinutes || 0) / interval.rideMinutes;
+  if (interval.distanceKm) progress.distance = (usage.distance || 0) / 1000 / interval.distanceKm;
+  if (interval.days) progress.days = (now.getTime() - cycle.lastMaintenance.getTime()) / DAY_MS / interval.days;
+
+  const ratio = Math.max(0, ...Object.values(progress));
+  Object.keys(progress).forEach(key => {
+    progress[key] = Math.round(progress[key] * 100) / 100;
+  });
+
+  return {
+    ratio: Math.round(ratio * 100) / 100,
+    progress,
+    due: ratio >= 1,
+    pastHardLimit: ratio >= interval.hardLimitPercent / 100
+  };
+};
+
+// Cycles at least `minRatio` of the way through their service interval,
+// most overdue first
+const findDueCycles = async ({ now = new Date(), minRatio = 1 } = {}) => {
+  const schedules = await ServiceInterval.getSchedules();
+  if (schedules.all.length === 0) return [];
+
+  const cycles = await Cycle.find({ isActive: true, status: { $ne: 'lost' } })
+    .select('-qrCode')
+    .populate('stationId', 'name location');
+
+  return cycles
+    .map(cycle => {
+      const interval = schedules.forModel(cycle.model);
+      return interval ? { cycle, interval, ...assessServiceDue(cycle, interval, now) } : null;
+    })
+    .filter(entry => entry && entry.ratio >= minRatio)
+    .sort((a, b) => b.ratio - a.ratio);
+};
+
+// Scheduled check: open a preventive ticket for cycles past the hard limit of
+// a schedule that pulls them from service. The ticket takes the cycle out of
+// service now, or when its current ride ends.
+const pullOverdueCycles = async (now = new Date()) => {
+  const due = await findDueCycles({ now });
+  let pulled = 0;
+
+  for (const { cycle, interval, ratio, pastHardLimit } of due) {
+    if (!pastHardLimit || !interval.pullFromService) continue;
+    if (await MaintenanceTicket.hasOpenTicket(cycle._id)) continue;
+
+    await createTicket({
+      cycle,
+      type: 'preventive',
+      title: 'Scheduled service',
+      description: `Service interval exceeded (${Math.round(ratio * 100)}% of limit)`,
+      priority: 'high'
+    });
+    pulled++;
+  }
+
+  return {
+    due: due.length,
+    pulled
+  };
+};
+
+module.exports = {
+  SEVERITY_THRESHOLD,
+  takeOutOfService,
+  isFitForService,
+  statusAfterRide,
+  createTicket,
+  resolveTicket,
+  assessServiceDue,
+  findDueCycles,
+  pullOverdueCycles
+};
@@ -0,0 +1,30 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Development sink: logs every message and, when NOTIFY_LOG_FILE is set,
+// appends it to that file as one JSON line. Handles every channel. Refuses
+// to send in production, where it would print reset tokens to the logs.
+const LOG_FILE = process.env.NOTIFY_LOG_FILE ? path.resolve(process.env.NOTIFY_LOG_FILE) : null;
+
+const send = async ({ channel, to, subject, text, data }) => {
+  if (process.env.NODE_ENV === 'production') {
+    const error = new Error('The console transport is not allowed in production');
+    error.permanent = true;
+    throw error;
+  }
+
+  console.log(`📨 [${channel}] to ${Array.isArray(to) ? to.join(', ') : to}: ${subject ? `${subject} - ` : ''}${text}`);
+
+  if (LOG_FILE) {
+    await fs.mkdir(path.dirname(LOG_FILE), { recursive: true });
+    await fs.appendFile(LOG_FILE, `${JSON.stringify({ sentAt: new Date(), channel, to, subject, text, data })}\n`);
+  }
+
+  return { providerMessageId: null };
+};
+
+module.exports = {
+  name: 'console',
+  channels: ['email', 'sms', 'push'],
+  send
+};
@@ -0,0 +1,54 @@
+const User = require('../../models/User');
+
+// Sends push notifications through Expo's push service
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const ACCESS_TOKEN = process.env.EXPO_ACCESS_TOKEN;
+
+const send = async ({ to, userId, subject, text, data }) => {
+  const tokens = Array.isArray(to) ? to : [to];
+
+  const response = await fetch(EXPO_PUSH_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      ...(ACCESS_TOKEN ? { Authorization: `Bearer ${ACCESS_TOKEN}` } : {})
+    },
+    body: JSON.stringify(tokens.map(token => ({
+      to: token,
+      title: subject,
+      body: text,
+      data,
+      sound: 'default'
+    })))
+  });
+
+  if (!response.ok) {
+    throw new Error(`Expo push responded ${response.status}: ${await response.text()}`);
+  }
+
+  const { data: tickets = [] } = await response.json();
+
+  // Forget tokens of devices that uninstalled the app
+  const unregistered = tokens.filter((token, i) => (
+    tickets[i] && tickets[i].details && tickets[i].details.error === 'DeviceNotRegistered'
+  ));
+  if (unregistered.length && userId) {
+    await User.updateOne({ _id: userId }, { $pull: { pushTokens: { $in: unregistered } } });
+  }
+
+  const accepted = tickets.filter(ticket => ticket.status === 'ok');
+  if (accepted.length === 0) {
+    const error = new Error(`Expo push rejected: ${tickets.map(ticket => ticket.message).join('; ') || 'no tickets'}`);
+    error.permanent = unregistered.length === tokens.length;
+    throw error;
+  }
+
+  return { providerMessageId: accepted.map(ticket => ticket.id).join(',') };
+};
+
+module.exports = {
+  name: 'expo',
+  channels: ['push'],
+  send
+};
@@ -0,0 +1,258 @@
+const Notification = require('../../models/Notification');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+const User = require('../../models/User');
+const { templates } = require('./templates');
+
+// Notification transports implement:
+//   name                                   - key stored on deliveries
+//   channels                               - channels it can send on: email, sms, push
+//   send({ channel, to, userId, subject, text, html, data }) -> { providerMessageId }
+// A send that throws is retried with backoff, unless the error is marked
+// `permanent` (e.g. the address was rejected).
+const transports = {};
+
+const registerTransport = (transport) => {
+  transports[transport.name] = transport;
+};
+
+registerTransport(require('./consoleTransport'));
+registerTransport(require('./smtpTransport'));
+registerTransport(require('./smsGatewayTransport'));
+registerTransport(require('./expoPushTransport'));
+
+// Why a channel's transport cannot be used, or null if it can. The console
+// transport prints message text, reset tokens included, so it has to be
+// chosen explicitly and is never used in production.
+const transportRefusal = (channel, name) => {
+  if (!name) return `NOTIFY_${channel.toUpperCase()}_TRANSPORT is not set`;
+  const transport = transports[name];
+  if (!transport || !transport.channels.includes(channel)) {
+    return `transport '${name}' is not registered for ${channel}`;
+  }
+  if (name === 'console' && process.env.NODE_ENV === 'production') {
+    return 'the console transport is not allowed in production';
+  }
+  return null;
+};
+
+const warnedChannels = new Set();
+
+// Each channel's transport is picked with NOTIFY_<CHANNEL>_TRANSPORT. Returns
+// null, warning once, for a channel with no usable transport; nothing is
+// sent on it.
+const getTransport = (channel) => {
+  const name = process.env[`NOTIFY_${channel.toUpperCase()}_TRANSPORT`];
+  const refusal = transportRefusal(channel, name);
+  if (refusal) {
+    if (!warnedChannels.has(channel)) {
+      warnedChannels.add(channel);
+      console.warn(`⚠️  Notifications on ${channel} are disabled: ${refusal}`);
+    }
+    return null;
+  }
+  return transports[name];
+};
+
+// Attempts before a delivery is given up as failed
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+// First retry delay; each later retry waits twice as long
+const RETRY_SECONDS = parseInt(process.env.NOTIFY_RETRY_SECONDS) || 30;
+// Deliveries stuck sending this long (e.g. the server restarted mid-send) are retried
+const LOCK_SECONDS = 5 * 60;
+// Deliveries sent per queue run
+const BATCH_SIZE = 100;
+
+// Where a channel reaches the user, or null if they have no address for it
+const addressFor = (user, channel) => {
+  if (channel === 'email') return user.email;
+  if (channel === 'sms') return user.phone || null;
+  return user.pushTokens && user.pushTokens.length ? user.pushTokens : null;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+let draining = false;
+let drainAgain = false;
+
+// Send queued deliveries soon without holding up the caller. Deliveries queued
+// during a run get another run straight after it.
+const drainQueue = () => {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+  drainAgain = false;
+  setImmediate(() => {
+    deliverPending()
+      .catch(error => console.error('Notification queue error:', error))
+      .finally(() => {
+        draining = false;
+        if (drainAgain) drainQueue();
+      });
+  });
+};
+
+// Add a notification to the user's inbox and queue it on each channel the
+// template uses and the user has turned on. Never throws, so callers can
+// notify after their own work is done without guarding the call. Returns the
+// inbox notification, or null for secret messages and on failure.
+const notify = async (userId, type, data = {}) => {
+  try {
+    const template = templates[type];
+    if (!template) {
+      throw new Error(`Unknown notification type '${type}'`);
+    }
+
+    const user = await User.findById(userId).select('+pushTokens');
+    if (!user || (!user.isActive && !template.essential)) return null;
+
+    const { title, body, data: links = {} } = template.render({ user, ...data });
+    const notification = template.secret
+      ? null
+      : await Notification.create({ userId: user._id, type, title, body, data: links });
+
+    const preferences = user.notificationPreferences || {};
+    const muted = !template.essential && (preferences.mutedTypes || []).includes(type);
+    const deliveries = muted ? [] : template.channels
+      .filter(channel => template.secret || preferences[channel] !== false)
+      .map(channel => ({ channel, to: addressFor(user, channel), transport: getTransport(channel) }))
+      .filter(({ to, transport }) => to && transport)
+      .map(({ channel, to, transport }) => ({
+        notificationId: notification ? notification._id : null,
+        userId: user._id,
+        channel,
+        transport: transport.name,
+        to,
+        subject: title,
+        text: body,
+        html: channel === 'email' ? `<p>${escapeHtml(body)}</p>` : undefined,
+        data: { type, notificationId: notification ? notification._id : null, ...links },
+        secret: Boolean(template.secret)
+      }));
+
+    if (deliveries.length) {
+      await NotificationDelivery.insertMany(deliveries);
+      drainQueue();
+    }
+
+    return notification;
+  } catch (error) {
+    console.error(`Notification error (${type}):`, error);
+    return null;
+  }
+};
+
+// Notify every active admin. Like notify, never throws.
+const notifyAdmins = async (type, data = {}) => {
+  try {
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    for (const admin of admins) {
+      await notify(admin._id, type, data);
+    }
+    return admins.length;
+  } catch (error) {
+    console.error(`Notification error (${type}):`, error);
+    return 0;
+  }
+};
+
+// Secret message text is not kept once it no longer needs sending
+const settled = (delivery, update) => (
+  delivery.secret ? { ...update, $unset: { text: 1, html: 1 } } : update
+);
+
+// Make one attempt at a claimed delivery and record the outcome
+const attemptDelivery = async (delivery) => {
+  try {
+    const transport = transports[delivery.transport];
+    if (!transport) {
+      throw new Error(`Notification transport '${delivery.transport}' is not registered`);
+    }
+
+    const result = await transport.send({
+      channel: delivery.channel,
+      to: delivery.to,
+      userId: delivery.userId,
+      subject: delivery.subject,
+      text: delivery.text,
+      html: delivery.html,
+      data: delivery.data
+    });
+
+    await NotificationDelivery.updateOne({ _id: delivery._id }, settled(delivery, {
+      status: 'sent',
+      sentAt: new Date(),
+      lockedAt: null,
+      lastError: null,
+      providerMessageId: (result && result.providerMessageId) || null
+    }));
+    return 'sent';
+  } catch (error) {
+    const giveUp = error.permanent || delivery.attempts >= MAX_ATTEMPTS;
+    const update = {
+      status: giveUp ? 'failed' : 'pending',
+      lockedAt: null,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + RETRY_SECONDS * 1000 * 2 ** (delivery.attempts - 1))
+    };
+    await NotificationDelivery.updateOne({ _id: delivery._id }, giveUp ? settled(delivery, update) : update);
+    return giveUp ? 'failed' : 'retrying';
+  }
+};
+
+// Send deliveries that are due. Each is claimed before sending, so several
+// runs (or instances) never send the same one twice.
+const deliverPending = async (now = new Date()) => {
+  const released = await NotificationDelivery.updateMany(
+    { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - LOCK_SECONDS * 1000) } },
+    { status: 'pending', lockedAt: null }
+  );
+
+  const counts = { sent: 0, retrying: 0, failed: 0, released: released.modifiedCount };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const delivery = await NotificationDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedAt: new Date(), $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!delivery) break;
+
+    counts[await attemptDelivery(delivery)] += 1;
+  }
+
+  return counts;
+};
+
+// Put a failed delivery back on the queue with a fresh set of attempts.
+// Secret messages cannot be retried since their text is gone; the user asks
+// for a new one instead.
+const retryDelivery = async (deliveryId) => {
+  const delivery = await NotificationDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'failed', secret: { $ne: true } },
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null },
+    { new: true }
+  );
+
+  if (!delivery) {
+    const error = new Error('Failed delivery not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  drainQueue();
+  return delivery;
+};
+
+module.exports = {
+  registerTransport,
+  notify,
+  notifyAdmins,
+  deliverPending,
+  retryDelivery
+};
@@ -0,0 +1,37 @@
+// Sends SMS through an HTTP gateway. The gateway is expected to accept a JSON
+// POST of { from, to, message } authenticated with a bearer key, and to
+// answer with the message id as `id` or `messageId`.
+const GATEWAY_URL = process.env.SMS_GATEWAY_URL;
+const API_KEY = process.env.SMS_GATEWAY_API_KEY;
+const SENDER_ID = process.env.SMS_SENDER_ID || 'SMRTCY';
+
+const send = async ({ to, text }) => {
+  if (!GATEWAY_URL) {
+    throw new Error('SMS_GATEWAY_URL is not set');
+  }
+
+  const response = await fetch(GATEWAY_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {})
+    },
+    body: JSON.stringify({ from: SENDER_ID, to, message: text })
+  });
+
+  if (!response.ok) {
+    const error = new Error(`SMS gateway responded ${response.status}: ${await response.text()}`);
+    // Client errors (bad number, bad request) will fail the same way again
+    error.permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+    throw error;
+  }
+
+  const body = await response.json().catch(() => ({}));
+  return { providerMessageId: body.id || body.messageId || null };
+};
+
+module.exports = {
+  name: 'sms-gateway',
+  channels: ['sms'],
+  send
+};
@@ -0,0 +1,41 @@
+const nodemailer = require('nodemailer');
+
+// Sends email through an SMTP server
+const FROM = process.env.NOTIFY_EMAIL_FROM || 'SmartCycle <no-reply@smartcycle.local>';
+
+let transporter = null;
+
+// Created on first use so the server starts without SMTP settings
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not set');
+    }
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+const send = async ({ to, subject, text, html }) => {
+  try {
+    const info = await getTransporter().sendMail({ from: FROM, to, subject, text, html });
+    return { providerMessageId: info.messageId };
+  } catch (error) {
+    // 5xx replies mean the server rejected the message itself; retrying won't help
+    if (error.responseCode >= 500) error.permanent = true;
+    throw error;
+  }
+};
+
+module.exports = {
+  name: 'smtp',
+  channels: ['email'],
+  send
+};
@@ -0,0 +1,195 @@
+// Notification templates. Each type lists the channels it goes out on by
+// default and renders a title and body from the data it is sent with.
+// `essential` messages (account security) ignore the user's muted types.
+// `secret` messages carry credentials the user just asked for: they go out
+// even on channels the user turned off, skip the inbox, and their text is
+// discarded once delivery is settled.
+
+const APP_NAME = process.env.NOTIFY_APP_NAME || 'SmartCycle';
+
+const formatMoney = (amount, currency = 'INR') => `${currency} ${(amount || 0).toFixed(2)}`;
+const nameOf = (doc, fallback) => (doc && doc.name) || fallback;
+
+const templates = {
+  welcome: {
+    channels: ['email'],
+    render: ({ user }) => ({
+      title: `Welcome to ${APP_NAME}`,
+      body: `Hi ${user.name}, your account is ready. Scan a cycle's QR code to start your first ride.`
+    })
+  },
+
+  'account-updated': {
+    channels: ['email'],
+    essential: true,
+    render: ({ fields }) => ({
+      title: 'Your profile was updated',
+      body: `The following details on your ${APP_NAME} account were changed: ${fields.join(', ')}. ` +
+        'If this was not you, contact support.'
+    })
+  },
+
+  'role-changed': {
+    channels: ['email'],
+    essential: true,
+    render: ({ role }) => ({
+      title: 'Your account role changed',
+      body: `Your ${APP_NAME} account now has the ${role} role.`
+    })
+  },
+
+  'account-deactivated': {
+    channels: ['email'],
+    essential: true,
+    render: () => ({
+      title: 'Your account was deactivated',
+      body: `Your ${APP_NAME} account has been deactivated by an administrator. Contact support if you think this is a mistake.`
+    })
+  },
+
+  'password-reset': {
+    channels: ['email'],
+    essential: true,
+    secret: true,
+    render: ({ token, resetUrl, minutes }) => ({
+      title: `Reset your ${APP_NAME} password`,
+      body: (resetUrl ? `Open ${resetUrl} to choose a new password, or enter this code in the app: ${token}. ` : `Enter this code in the app to choose a new password: ${token}. `) +
+        `It expires in ${minutes} minutes and can be used once. If you did not ask for this, ignore this email.`
+    })
+  },
+
+  'verify-email': {
+    channels: ['email'],
+    essential: true,
+    secret: true,
+    render: ({ code, verifyUrl, minutes }) => ({
+      title: `Confirm your ${APP_NAME} email`,
+      body: `Your verification code is ${code}. ` +
+        (verifyUrl ? `You can also open ${verifyUrl} to confirm. ` : '') +
+        `It expires in ${minutes} minutes.`
+    })
+  },
+
+  'verify-phone': {
+    channels: ['sms'],
+    essential: true,
+    secret: true,
+    render: ({ code, minutes }) => ({
+      title: 'Verification code',
+      body: `${code} is your ${APP_NAME} verification code. It expires in ${minutes} minutes.`
+    })
+  },
+
+  'password-changed': {
+    channels: ['email'],
+    essential: true,
+    render: () => ({
+      title: 'Your password was changed',
+      body: `The password on your ${APP_NAME} account was changed and you were signed out on every device. ` +
+        'If this was not you, reset your password and contact support.'
+    })
+  },
+
+  'session-reuse': {
+    channels: ['email', 'push'],
+    essential: true,
+    render: ({ session }) => ({
+      title: 'A device was signed out',
+      body: `We signed out ${session.deviceName || session.userAgent || 'one of your devices'} because its login was used from two places. ` +
+        'If you did not expect this, change your password.'
+    })
+  },
+
+  'ride-started': {
+    channels: ['push'],
+    render: ({ ride, cycle, station }) => ({
+      title: 'Ride started',
+      body: `You're riding ${cycle.cycleId} from ${nameOf(station, 'your station')}. Enjoy the ride!`,
+      data: { rideId: ride._id }
+    })
+  },
+
+  'ride-ended': {
+    channels: ['push', 'email'],
+    render: ({ ride, station }) => {
+      const fare = ride.fare || {};
+      return {
+        title: 'Ride complete',
+        body: `Your ${ride.duration}-minute ride ended at ${nameOf(station, 'the station')}. ` +
+          `Fare: ${formatMoney(fare.total, fare.currency)}` +
+          (ride.receiptNumber ? ` (receipt ${ride.receiptNumber}).` : '.'),
+        data: { rideId: ride._id }
+      };
+    }
+  },
+
+  'ride-overdue': {
+    channels: ['push', 'sms'],
+    render: ({ ride, maxRideMinutes }) => ({
+      title: 'Please return your cycle',
+      body: `Your ride has passed the ${maxRideMinutes}-minute limit and late fees now apply. ` +
+        'Dock the cycle at the nearest station to end it.',
+      data: { rideId: ride._id }
+    })
+  },
+
+  'ride-force-closed': {
+    channels: ['push', 'email'],
+    render: ({ ride }) => ({
+      title: 'Your ride was closed',
+      body: ride.closure && ride.closure.lostCycle
+        ? `Your ride was closed because the cycle was not returned. Fare: ${formatMoney(ride.fare.total, ride.fare.currency)}.`
+        : `Your ride was closed by our team (${ride.closure.reason}). Fare: ${formatMoney(ride.fare.total, ride.fare.currency)}.`,
+      data: { rideId: ride._id }
+    })
+  },
+
+  'ride-abandoned': {
+    channels: ['email'],
+    render: ({ ride, rider, cycle }) => ({
+      title: 'Ride needs attention',
+      body: `Ride ${ride._id} on cycle ${nameOf(cycle && { name: cycle.cycleId }, 'unknown')} by ` +
+        `${rider ? `${rider.name} <${rider.email}>` : 'an unknown rider'} has been active since ` +
+        `${ride.startTime.toISOString()}.`,
+      data: { rideId: ride._id }
+    })
+  },
+
+  'suspicious-login': {
+    channels: ['email', 'push'],
+    render: ({ ip, accounts, minutes }) => ({
+      title: 'Suspicious login activity',
+      body: `Logins to ${accounts} different accounts failed from ${ip} in the last ${minutes} minutes. ` +
+        'Check the security log.',
+      data: { ip }
+    })
+  },
+
+  'low-balance': {
+    channels: ['push', 'email'],
+    render: ({ balance, currency, threshold }) => ({
+      title: 'Your wallet is running low',
+      body: `Your wallet balance is ${formatMoney(balance, currency)}, below ${formatMoney(threshold, currency)}. ` +
+        'Top up to keep riding.'
+    })
+  },
+
+  'waitlist-ready': {
+    channels: ['push'],
+    render: ({ station, reservation, holdMinutes }) => ({
+      title: 'A cycle is free',
+      body: reservation
+        ? `A cycle is held for you at ${station.name} for ${holdMinutes} minutes.`
+        : `A cycle is available at ${station.name}.`,
+      data: { stationId: station._id, reservationId: reservation ? reservation._id : null }
+    })
+  }
+};
+
+const TYPES = Object.keys(templates);
+
+module.exports = {
+  APP_NAME,
+  TYPES,
+  templates
+};
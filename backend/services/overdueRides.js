@@ -0,0 +1,192 @@
+const Ride = require('../models/Ride');
+const Cycle = require('../models/Cycle');
+const User = require('../models/User');
+const Tariff = require('../models/Tariff');
+const { priceRide, chargeRide } = require('./billing');
+const { assignReceiptNumber } = require('./receipts');
+const { summarizeTrip } = require('./tracking');
+const { statusAfterRide } = require('./maintenance');
+const { notify, notifyAdmins } = require('./notifications');
+const { resolveRates, calculateLateFee } = require('../utils/pricing');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Active rides this old are escalated to admins as abandoned
+const ABANDONED_HOURS = parseFloat(process.env.RIDE_ABANDONED_HOURS) || 24;
+// Active rides this old are closed and their cycle is marked lost
+const LOST_CYCLE_HOURS = parseFloat(process.env.RIDE_LOST_CYCLE_HOURS) || 72;
+
+// The maximum ride length from the tariff in force
+const getMaxRideMinutes = async (now = new Date()) => {
+  const tariff = await Tariff.getActive(now);
+  return resolveRates(tariff).maxRideMinutes;
+};
+
+// Active rides past the maximum ride length, oldest first, with how far over
+// they are and the late fee they would pay if ended now
+const findOverdueRides = async ({ now = new Date(), abandonedOnly = false } = {}) => {
+  const tariff = await Tariff.getActive(now);
+  const rates = resolveRates(tariff);
+  const cutoff = abandonedOnly
+    ? new Date(now.getTime() - ABANDONED_HOURS * HOUR_MS)
+    : new Date(now.getTime() - rates.maxRideMinutes * 60 * 1000);
+
+  const rides = await Ride.find({ status: 'active', startTime: { $lte: cutoff } })
+    .populate('userId', 'name email phone')
+    .populate('cycleId', 'cycleId model status')
+    .populate('startStation', 'name location')
+    .sort({ startTime: 1 });
+
+  return rides.map(ride => {
+    const minutes = Math.floor((now.getTime() - ride.startTime.getTime()) / (1000 * 60));
+    return {
+      ride,
+      rideMinutes: minutes,
+      overdueMinutes: minutes - rates.maxRideMinutes,
+      abandoned: minutes >= ABANDONED_HOURS * 60,
+      estimatedLateFee: calculateLateFee(rates, minutes)
+    };
+  });
+};
+
+// Close an active ride on the rider's behalf and bill it, including late
+// fees. Without an end station the cycle is treated as lost.
+const forceCloseRide = async (rideId, { reason, closedBy = null, stationId = null, now = new Date() }) => {
+  const ride = await Ride.findOne({ _id: rideId, status: 'active' }).select('+track +trackOffsets');
+  if (!ride) {
+    const error = new Error('Active ride not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // The rider's account may have been deleted mid-ride. The ride is then
+  // priced at the standard rate for the record and closed without a charge.
+  const user = await User.findById(ride.userId);
+  const rider = user || { _id: null, role: 'user' };
+  const lostCycle = !stationId;
+  const duration = Math.round((now.getTime() - ride.startTime.getTime()) / (1000 * 60));
+  const fare = await priceRide({ user: rider, ride, durationMinutes: duration, endTime: now, lostCycle });
+
+  const closed = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'active' },
+    {
+      endTime: now,
+      duration,
+      fare,
+      trip: summarizeTrip(ride, duration),
+      endStation: stationId,
+      status: 'completed',
+      closure: { reason, closedBy, closedAt: now, lostCycle }
+    },
+    { new: true }
+  );
+
+  if (!closed) {
+    const error = new Error('Ride has already been ended');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Reopen the ride if the charge fails, as when a rider ends it
+  try {
+    if (user) await chargeRide(closed);
+  } catch (error) {
+    await Ride.updateOne(
+      { _id: closed._id },
+      {
+        status: 'active',
+        endTime: null,
+        endStation: null,
+        duration: 0,
+        $unset: { fare: 1, closure: 1 }
+      }
+    );
+    throw error;
+  }
+
+  await assignReceiptNumber(closed);
+
+  await Cycle.recordUsage(closed.cycleId, { minutes: duration, distance: closed.trip.distance });
+  await Cycle.updateOne(
+    { _id: closed.cycleId },
+    lostCycle
+      ? { status: 'lost', updatedAt: now }
+      : { status: await statusAfterRide(closed.cycleId), stationId, updatedAt: now }
+  );
+  notify(closed.userId, 'ride-force-closed', { ride: closed });
+
+  return closed;
+};
+
+// Scheduled scan of active rides: flag rides past the maximum ride length,
+// escalate long-abandoned ones to admins and close rides whose cycle is
+// presumed lost
+const scanOverdueRides = async (now = new Date()) => {
+  const maxRideMinutes = await getMaxRideMinutes(now);
+
+  const overdue = await Ride.find({
+    status: 'active',
+    startTime: { $lte: new Date(now.getTime() - maxRideMinutes * 60 * 1000) },
+    'overdue.flaggedAt': null
+  }).select('_id userId');
+
+  // Flag rides one at a time so each rider is told exactly once
+  let flagged = 0;
+  for (const ride of overdue) {
+    const result = await Ride.updateOne(
+      { _id: ride._id, 'overdue.flaggedAt': null },
+      { 'overdue.flaggedAt': now }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    flagged++;
+    notify(ride.userId, 'ride-overdue', { ride, maxRideMinutes });
+  }
+
+  const abandoned = await Ride.find({
+    status: 'active',
+    startTime: { $lte: new Date(now.getTime() - ABANDONED_HOURS * HOUR_MS) },
+    'overdue.escalatedAt': null
+  }).populate('userId', 'name email').populate('cycleId', 'cycleId');
+
+  for (const ride of abandoned) {
+    await Ride.updateOne({ _id: ride._id }, { 'overdue.escalatedAt': now });
+    console.warn(
+      `🚨 Ride ${ride._id} (cycle ${ride.cycleId && ride.cycleId.cycleId}, rider ${ride.userId && ride.userId.email}) ` +
+      `has been active since ${ride.startTime.toISOString()}`
+    );
+    await notifyAdmins('ride-abandoned', { ride, rider: ride.userId, cycle: ride.cycleId });
+  }
+
+  const lost = await Ride.find({
+    status: 'active',
+    startTime: { $lte: new Date(now.getTime() - LOST_CYCLE_HOURS * HOUR_MS) }
+  }).select('_id');
+
+  let closed = 0;
+  for (const ride of lost) {
+    try {
+      await forceCloseRide(ride._id, {
+        reason: `Cycle not returned within ${LOST_CYCLE_HOURS} hours`,
+        now
+      });
+      closed++;
+    } catch (error) {
+      console.error(`Lost cycle close error for ride ${ride._id}:`, error);
+    }
+  }
+
+  return {
+    flagged,
+    escalated: abandoned.length,
+    lostCycles: closed
+  };
+};
+
+module.exports = {
+  ABANDONED_HOURS,
+  LOST_CYCLE_HOURS,
+  findOverdueRides,
+  forceCloseRide,
+  scanOverdueRides
+};
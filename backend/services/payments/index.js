@@ -0,0 +1,147 @@
+const PaymentOrder = require('../../models/PaymentOrder');
+const Wallet = require('../../models/Wallet');
+
+// Payment providers implement:
+//   name                                   - key used in routes and stored on orders
+//   createOrder({ amount, currency, receipt })      -> { providerOrderId, checkout }
+//   capture({ providerOrderId, providerPaymentId, amount })
+//   refund({ providerPaymentId, amount, reason })   -> { providerRefundId }
+//   verifyWebhookSignature(rawBody, headers)        -> boolean
+//   parseWebhookEvent(body)  -> { eventId, type, providerOrderId, providerPaymentId, amount }
+// Amounts are always in major currency units (rupees, not paise).
+const providers = {};
+
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+// The mock gateway credits wallets without any money changing hands, so it
+// only exists when explicitly switched on, with its own secret, outside production
+const mockPaymentsRefusal = () => {
+  if (process.env.ENABLE_MOCK_PAYMENTS !== 'true') return null;
+  if (process.env.NODE_ENV === 'production') return 'mock payments cannot be enabled in production';
+  if (!process.env.MOCK_PAYMENT_SECRET) return 'MOCK_PAYMENT_SECRET is not set';
+  return null;
+};
+
+const MOCK_PAYMENTS_ENABLED = process.env.ENABLE_MOCK_PAYMENTS === 'true' && !mockPaymentsRefusal();
+if (MOCK_PAYMENTS_ENABLED) {
+  registerProvider(require('./mockProvider'));
+} else if (mockPaymentsRefusal()) {
+  console.error(`Mock payments not enabled: ${mockPaymentsRefusal()}`);
+}
+
+const unavailable = (message) => {
+  const error = new Error(message);
+  error.statusCode = 503;
+  return error;
+};
+
+// Throws a 503 error when top-ups cannot be taken because no provider is set up
+const getProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw unavailable('Payments are not available: no payment provider is configured');
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw unavailable(`Payments are not available: payment provider '${name}' is not configured`);
+  }
+  return provider;
+};
+
+// Whether top-ups can be taken with the configured provider
+const isPaymentConfigured = () => {
+  try {
+    getProvider();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Credit the wallet for a paid order. The ledger reference makes the credit
+// happen at most once no matter how often the provider repeats the callback.
+const settleOrder = async (provider, order, event) => {
+  if (event.type === 'payment.authorized') {
+    await provider.capture({
+      providerOrderId: order.providerOrderId,
+      providerPaymentId: event.providerPaymentId,
+      amount: order.amount
+    });
+  }
+
+  const transaction = await Wallet.applyTransaction(order.userId, {
+    type: 'topup',
+    amount: order.amount,
+    reference: `payment:${order._id}`,
+    counterAccount: `external:${provider.name}`,
+    externalReference: event.providerPaymentId,
+    description: `Top-up via ${provider.name}`
+  });
+
+  return PaymentOrder.findOneAndUpdate(
+    { _id: order._id, status: { $ne: 'paid' } },
+    {
+      status: 'paid',
+      providerPaymentId: event.providerPaymentId,
+      transactionId: transaction._id,
+      paidAt: new Date(),
+      failureReason: null,
+      $addToSet: { processedEvents: event.eventId }
+    },
+    { new: true }
+  );
+};
+
+// Apply a verified provider event to its order. Safe to call repeatedly.
+const processWebhookEvent = async (provider, event) => {
+  const order = await PaymentOrder.findOne({
+    provider: provider.name,
+    providerOrderId: event.providerOrderId
+  });
+
+  if (!order) {
+    const error = new Error('Payment order not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (order.processedEvents.includes(event.eventId) || order.status === 'paid') {
+    return { order, duplicate: true };
+  }
+
+  if (event.type === 'payment.authorized' || event.type === 'payment.captured') {
+    if (event.amount !== order.amount) {
+      const error = new Error('Paid amount does not match the order');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const paid = await settleOrder(provider, order, event);
+    return { order: paid || await PaymentOrder.findById(order._id), duplicate: !paid };
+  }
+
+  if (event.type === 'payment.failed') {
+    const failed = await PaymentOrder.findOneAndUpdate(
+      { _id: order._id, status: 'created' },
+      {
+        status: 'failed',
+        failureReason: event.failureReason,
+        $addToSet: { processedEvents: event.eventId }
+      },
+      { new: true }
+    );
+    return { order: failed || order, duplicate: !failed };
+  }
+
+  // Events we do not act on are acknowledged so the provider stops retrying
+  return { order, duplicate: false, ignored: true };
+};
+
+module.exports = {
+  MOCK_PAYMENTS_ENABLED,
+  registerProvider,
+  getProvider,
+  isPaymentConfigured,
+  processWebhookEvent
+};
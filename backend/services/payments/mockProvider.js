@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+
+// Local stand-in for a card/UPI gateway. It keeps orders in memory, never
+// touches the network and signs its callbacks exactly like a real provider
+// would, so the whole top-up flow can be exercised in development. Only
+// registered when ENABLE_MOCK_PAYMENTS=true and MOCK_PAYMENT_SECRET is set,
+// and never in production.
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const orders = new Map();
+
+const getSecret = () => process.env.MOCK_PAYMENT_SECRET;
+
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const sign = (payload) => crypto
+  .createHmac('sha256', getSecret())
+  .update(payload)
+  .digest('hex');
+
+const createOrder = async ({ amount, currency, receipt }) => {
+  const order = {
+    id: generateId('order'),
+    amount,
+    currency,
+    receipt,
+    status: 'created',
+    paymentId: null,
+    refunded: 0
+  };
+  orders.set(order.id, order);
+
+  return {
+    providerOrderId: order.id,
+    checkout: {
+      provider: 'mock',
+      orderId: order.id,
+      amount,
+      currency
+    }
+  };
+};
+
+const capture = async ({ providerOrderId, providerPaymentId, amount }) => {
+  const order = orders.get(providerOrderId);
+  if (order && order.amount !== amount) {
+    throw new Error('Capture amount does not match the order');
+  }
+  if (order) {
+    order.status = 'captured';
+    order.paymentId = providerPaymentId;
+  }
+
+  return { providerPaymentId, amount, status: 'captured' };
+};
+
+const refund = async ({ providerPaymentId, amount }) => {
+  const order = [...orders.values()].find(o => o.paymentId === providerPaymentId);
+  if (order) {
+    if (order.refunded + amount > order.amount) {
+      throw new Error('Refund exceeds captured amount');
+    }
+    order.refunded += amount;
+  }
+
+  return { providerRefundId: generateId('rfnd'), amount, status: 'processed' };
+};
+
+const verifyWebhookSignature = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER];
+  if (!signature || !rawBody) return false;
+
+  const expected = Buffer.from(sign(rawBody));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Translate a provider callback into the shape the payment routes understand
+const parseWebhookEvent = (body) => ({
+  eventId: body.id,
+  type: body.event,
+  providerOrderId: body.payload.orderId,
+  providerPaymentId: body.payload.paymentId,
+  amount: body.payload.amount,
+  failureReason: body.payload.error || null
+});
+
+// Build the signed callback the gateway would send once the rider pays (or fails to)
+const simulateCheckout = (providerOrderId, { amount, outcome = 'success' }) => {
+  const body = {
+    id: generateId('evt'),
+    event: outcome === 'success' ? 'payment.authorized' : 'payment.failed',
+    payload: {
+      orderId: providerOrderId,
+      paymentId: generateId('pay'),
+      amount,
+      ...(outcome !== 'success' && { error: 'Payment declined by mock gateway' })
+    }
+  };
+  const rawBody = JSON.stringify(body);
+
+  return {
+    body,
+    rawBody,
+    headers: { [SIGNATURE_HEADER]: sign(rawBody) }
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  createOrder,
+  capture,
+  refund,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  simulateCheckout
+};
@@ -0,0 +1,169 @@
+// Live updates over Server-Sent Events. Every client gets station
+// availability; riders get their own rides; admins get every ride and cycle
+// change for the dashboard. Clients are held in memory, so each instance only
+// reaches the clients connected to it.
+
+const Cycle = require('../models/Cycle');
+const Ride = require('../models/Ride');
+const Station = require('../models/Station');
+
+const HEARTBEAT_SECONDS = parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 25;
+const MAX_STREAMS_PER_USER = parseInt(process.env.REALTIME_MAX_STREAMS_PER_USER) || 5;
+// Station updates are batched so a transfer of many cycles sends one per station
+const STATION_BATCH_MS = 250;
+
+const clients = new Set();
+const pendingStations = new Set();
+let flushTimer = null;
+let lastEventId = 0;
+
+const isAdmin = (client) => client.user.role === 'admin';
+
+const write = (client, id, event, data) => {
+  client.res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Send an event to every connected client that `filter` accepts
+const publish = (event, data, filter = () => true) => {
+  const id = ++lastEventId;
+  clients.forEach(client => {
+    if (filter(client)) write(client, id, event, data);
+  });
+};
+
+// Send an event to one user's open streams
+const notifyUser = (userId, event, data) => {
+  publish(event, data, client => String(client.user._id) === String(userId));
+};
+
+const stationUpdate = (station) => ({
+  _id: station._id,
+  name: station.name,
+  capacity: station.capacity,
+  isActive: station.isActive,
+  availableCycles: station.availableCycles,
+  reservedCycles: station.reservedCycles,
+  dockedCycles: station.dockedCycles,
+  freeDocks: station.freeDocks
+});
+
+const flushStations = async () => {
+  flushTimer = null;
+  const ids = [...pendingStations];
+  pendingStations.clear();
+  if (clients.size === 0) return;
+
+  const stations = await Station.find({ _id: { $in: ids } })
+    .select('name capacity isActive')
+    .populate(Station.LIVE_COUNTS);
+
+  stations.forEach(station => publish('station', stationUpdate(station)));
+};
+
+const queueStations = (stationIds) => {
+  stationIds.filter(Boolean).forEach(id => pendingStations.add(String(id)));
+  if (flushTimer || pendingStations.size === 0) return;
+
+  flushTimer = setTimeout(() => {
+    flushStations().catch(error => console.error('Realtime station update error:', error));
+  }, STATION_BATCH_MS);
+};
+
+// A cycle's status or station changed: refresh the stations it left and
+// joined, and tell admins
+const onCycleChange = async ({ ids, before }) => {
+  const cycles = await Cycle.find({ _id: { $in: ids } }).select('cycleId model status stationId isActive');
+
+  queueStations([
+    ...(before || []).map(cycle => cycle.stationId),
+    ...cycles.map(cycle => cycle.stationId)
+  ]);
+
+  cycles.forEach(cycle => publish('cycle', {
+    _id: cycle._id,
+    cycleId: cycle.cycleId,
+    model: cycle.model,
+    status: cycle.status,
+    stationId: cycle.stationId,
+    isActive: cycle.isActive
+  }, isAdmin));
+};
+
+// A ride started, ended or was flagged: tell its rider and admins
+const onRideChange = async ({ ids }) => {
+  const rides = await Ride.find({ _id: { $in: ids } })
+    .populate('cycleId', 'cycleId model')
+    .populate('startStation', 'name location')
+    .populate('endStation', 'name location');
+
+  rides.forEach(ride => publish('ride', ride, client => (
+    isAdmin(client) || String(client.user._id) === String(ride.userId)
+  )));
+};
+
+const handle = (name, handler) => (change) => {
+  handler(change).catch(error => console.error(`Realtime ${name} update error:`, error));
+};
+const cycleListener = handle('cycle', onCycleChange);
+const rideListener = handle('ride', onRideChange);
+
+// Only watch the models while someone is connected
+const startListening = () => {
+  Cycle.changes.on('change', cycleListener);
+  Ride.changes.on('change', rideListener);
+};
+
+const stopListening = () => {
+  Cycle.changes.off('change', cycleListener);
+  Ride.changes.off('change', rideListener);
+};
+
+// Hold `res` open as an event stream for the authenticated `req.user`
+const subscribe = async (req, res) => {
+  const { user } = req;
+  const open = [...clients].filter(client => String(client.user._id) === String(user._id));
+  if (open.length >= MAX_STREAMS_PER_USER) {
+    return res.status(429).json({
+      success: false,
+      message: 'Too many live connections open for this account'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = { res, user };
+  clients.add(client);
+  if (clients.size === 1) startListening();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+    if (clients.size === 0) stopListening();
+  });
+
+  write(client, lastEventId, 'ready', {
+    userId: user._id,
+    role: user.role,
+    events: isAdmin(client) ? ['station', 'ride', 'cycle'] : ['station', 'ride']
+  });
+
+  // Pick up a ride already in progress, e.g. after the app reconnects
+  const activeRide = await Ride.findOne({ userId: user._id, status: 'active' })
+    .populate('cycleId', 'cycleId model')
+    .populate('startStation', 'name location');
+  if (activeRide && clients.has(client)) write(client, lastEventId, 'ride', activeRide);
+};
+
+module.exports = {
+  subscribe,
+  notifyUser
+};
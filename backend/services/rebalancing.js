@@ -0,0 +1,216 @@
+const Cycle = require('../models/Cycle');
+const Ride = require('../models/Ride');
+const Station = require('../models/Station');
+const RebalancingTask = require('../models/RebalancingTask');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Share of capacity a station should hold when it sets no target of its own
+const TARGET_FILL = process.env.REBALANCE_TARGET_FILL !== undefined
+  ? parseFloat(process.env.REBALANCE_TARGET_FILL)
+  : 0.5;
+// Days of ride history to average flows over
+const FLOW_DAYS = parseInt(process.env.REBALANCE_FLOW_DAYS) || 14;
+// How far ahead the plan looks; flows are taken from the same hours of day
+const HORIZON_HOURS = parseInt(process.env.REBALANCE_HORIZON_HOURS) || 3;
+// Smallest move worth sending a van for
+const MIN_MOVE = parseInt(process.env.REBALANCE_MIN_MOVE) || 2;
+// Stations further apart than this are never paired
+const MAX_DISTANCE = parseFloat(process.env.REBALANCE_MAX_DISTANCE) || 10000;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// UTC hours of day covered by the next HORIZON_HOURS
+const horizonHours = (now) => Array.from(
+  { length: Math.min(HORIZON_HOURS, 24) },
+  (value, index) => (now.getUTCHours() + index) % 24
+);
+
+// Average rides per day leaving (or arriving at) each station during the
+// coming hours of day, over the last FLOW_DAYS
+const averageFlows = async (stationField, timeField, now) => {
+  const rows = await Ride.aggregate([
+    {
+      $match: {
+        status: { $ne: 'cancelled' },
+        [timeField]: { $gte: new Date(now.getTime() - FLOW_DAYS * 24 * HOUR_MS), $lt: now },
+        [stationField]: { $ne: null }
+      }
+    },
+    { $match: { $expr: { $in: [{ $hour: `$${timeField}` }, horizonHours(now)] } } },
+    { $group: { _id: `$${stationField}`, rides: { $sum: 1 } } }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row.rides / FLOW_DAYS]));
+};
+
+// Docked and movable (available) cycles per station
+const dockedCounts = async () => {
+  const rows = await Cycle.aggregate([
+    {
+      $match: {
+        isActive: true,
+        stationId: { $ne: null },
+        status: { $nin: Station.UNDOCKED_STATUSES }
+      }
+    },
+    {
+      $group: {
+        _id: '$stationId',
+        docked: { $sum: 1 },
+        available: { $sum: { $cond: [{ $eq: ['$status', 'available'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row]));
+};
+
+// Where each station is expected to be at the end of the horizon, and how
+// far that is from its target
+const assessStations = async (now) => {
+  const [stations, counts, departures, arrivals] = await Promise.all([
+    Station.find({ isActive: true }),
+    dockedCounts(),
+    averageFlows('startStation', 'startTime', now),
+    averageFlows('endStation', 'endTime', now)
+  ]);
+
+  return stations.map(station => {
+    const id = station._id.toString();
+    const { docked = 0, available = 0 } = counts.get(id) || {};
+    const out = departures.get(id) || 0;
+    const into = arrivals.get(id) || 0;
+    const fill = station.targetFillLevel !== null && station.targetFillLevel !== undefined
+      ? station.targetFillLevel
+      : TARGET_FILL;
+    const target = Math.round(station.capacity * fill);
+    const projected = Math.max(0, Math.min(station.capacity, docked + into - out));
+    const imbalance = Math.round(projected - target);
+
+    return {
+      station,
+      capacity: station.capacity,
+      docked,
+      available,
+      departures: round(out),
+      arrivals: round(into),
+      projected: Math.round(projected),
+      target,
+      // Cycles that can be taken away, or docks that should be filled
+      surplus: imbalance > 0 ? Math.min(imbalance, available) : 0,
+      deficit: imbalance < 0 ? Math.min(-imbalance, station.capacity - docked) : 0,
+      runsOut: projected <= 0,
+      fillsUp: projected >= station.capacity
+    };
+  });
+};
+
+// How urgently a station needs attention, from 0 to 1
+const urgencyOf = (entry) => {
+  if (entry.runsOut || entry.fillsUp) return 1;
+  return Math.min(1, Math.abs(entry.projected - entry.target) / Math.max(entry.capacity, 1));
+};
+
+const priorityFor = (score) => {
+  if (score >= 1) return 'high';
+  if (score >= 0.25) return 'medium';
+  return 'low';
+};
+
+const reasonFor = (from, to) => {
+  if (to.runsOut) return `${to.station.name} is expected to run out of cycles`;
+  if (from.fillsUp) return `${from.station.name} is expected to fill up`;
+  return `${to.station.name} is below its target fill`;
+};
+
+const summarize = (station) => ({
+  _id: station._id,
+  name: station.name,
+  location: station.location
+});
+
+// Build a prioritized list of "move N cycles from A to B" recommendations.
+// Stations short of cycles are served in order of urgency, each from the
+// nearest stations with cycles to spare.
+const buildPlan = async ({ now = new Date() } = {}) => {
+  const entries = await assessStations(now);
+  const sources = entries.filter(entry => entry.surplus > 0);
+  const tasks = [];
+
+  const deficits = entries
+    .filter(entry => entry.deficit > 0)
+    .sort((a, b) => urgencyOf(b) - urgencyOf(a));
+
+  deficits.forEach(to => {
+    let needed = to.deficit;
+
+    const nearest = sources
+      .filter(from => from.surplus > 0)
+      .map(from => ({ from, distance: from.station.distanceTo(to.station.coordinates) }))
+      .filter(({ distance }) => distance <= MAX_DISTANCE)
+      .sort((a, b) => a.distance - b.distance);
+
+    for (const { from, distance } of nearest) {
+      if (needed < MIN_MOVE) break;
+
+      const quantity = Math.min(needed, from.surplus);
+      if (quantity < MIN_MOVE) continue;
+
+      const score = round(Math.max(urgencyOf(from), urgencyOf(to)));
+      tasks.push({
+        fromStation: summarize(from.station),
+        toStation: summarize(to.station),
+        quantity,
+        distance: Math.round(distance),
+        score,
+        priority: priorityFor(score),
+        reason: reasonFor(from, to)
+      });
+
+      from.surplus -= quantity;
+      needed -= quantity;
+    }
+  });
+
+  tasks.sort((a, b) => b.score - a.score || b.quantity - a.quantity);
+
+  return {
+    generatedAt: now,
+    settings: {
+      targetFill: TARGET_FILL,
+      flowDays: FLOW_DAYS,
+      horizonHours: HORIZON_HOURS,
+      minMove: MIN_MOVE
+    },
+    stations: entries.map(({ station, surplus, deficit, runsOut, fillsUp, ...entry }) => ({
+      ...summarize(station),
+      ...entry
+    })),
+    tasks
+  };
+};
+
+// Build a plan and save its tasks for staff, replacing any still pending
+const publishPlan = async ({ createdBy = null, now = new Date() } = {}) => {
+  const plan = await buildPlan({ now });
+
+  await RebalancingTask.updateMany(
+    { status: 'pending' },
+    { status: 'cancelled', notes: 'Replaced by a newer plan', updatedAt: now }
+  );
+
+  const tasks = await RebalancingTask.insertMany(plan.tasks.map(task => ({
+    ...task,
+    fromStation: task.fromStation._id,
+    toStation: task.toStation._id,
+    createdBy
+  })));
+
+  return { ...plan, tasks };
+};
+
+module.exports = {
+  buildPlan,
+  publishPlan
+};
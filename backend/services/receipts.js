@@ -0,0 +1,254 @@
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Ride = require('../models/Ride');
+const { roundMoney } = require('../utils/pricing');
+
+// Fares are tax-inclusive; receipts show the tax portion separately
+const TAX_RATE = process.env.TAX_RATE !== undefined ? parseFloat(process.env.TAX_RATE) : 0.18;
+const TAX_NAME = process.env.TAX_NAME || 'GST';
+const ISSUER = process.env.RECEIPT_ISSUER || 'SmartCycle';
+
+const formatMoney = (amount, currency) => `${currency} ${(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+  : '-');
+
+const stationName = (station) => (station && station.name) || '-';
+
+const splitTax = (total) => {
+  const taxableAmount = roundMoney(total / (1 + TAX_RATE));
+  return {
+    name: TAX_NAME,
+    rate: TAX_RATE,
+    taxableAmount,
+    amount: roundMoney(total - taxableAmount)
+  };
+};
+
+// Give a completed ride its receipt number, the first time one is needed
+const assignReceiptNumber = async (ride) => {
+  if (ride.receiptNumber) return ride.receiptNumber;
+
+  const year = (ride.endTime || new Date()).getFullYear();
+  const seq = await Counter.next(`receipt-${year}`);
+  const number = `SC-${year}-${String(seq).padStart(6, '0')}`;
+
+  const result = await Ride.updateOne(
+    { _id: ride._id, receiptNumber: { $exists: false } },
+    { receiptNumber: number }
+  );
+
+  // Another request numbered the ride first; use its number
+  if (result.modifiedCount === 0) {
+    const current = await Ride.findById(ride._id).select('receiptNumber');
+    ride.receiptNumber = current.receiptNumber;
+  } else {
+    ride.receiptNumber = number;
+  }
+
+  return ride.receiptNumber;
+};
+
+// Describe a completed ride as a receipt document.
+// Expects userId, cycleId, startStation and endStation to be populated.
+const buildReceipt = (ride) => {
+  const fare = ride.fare || {};
+  const currency = fare.currency || 'INR';
+  const cycle = ride.cycleId || {};
+  const rows = [];
+
+  if (fare.unlockFee) rows.push(['Unlock fee', formatMoney(fare.unlockFee, currency)]);
+  rows.push([`Ride time (${fare.billableMinutes || 0} min billable)`, formatMoney(fare.timeCharge, currency)]);
+  if (fare.promoDiscount) {
+    rows.push([`Promo ${fare.promoCode || ''}`.trim(), formatMoney(-fare.promoDiscount, currency)]);
+  }
+  if (fare.capDiscount) rows.push(['Daily cap', formatMoney(-fare.capDiscount, currency)]);
+  if (fare.lateFee) rows.push(['Late return fee', formatMoney(fare.lateFee, currency)]);
+  if (fare.lostCycleFee) rows.push(['Lost cycle fee', formatMoney(fare.lostCycleFee, currency)]);
+
+  const tax = splitTax(fare.total || 0);
+  const notes = [];
+  if (fare.includedMinutes) notes.push(`${fare.includedMinutes} min covered by your ride pass.`);
+  if (fare.promoMinutes) notes.push(`${fare.promoMinutes} free min from promo ${fare.promoCode}.`);
+  if (fare.graceMinutes) notes.push(`${fare.graceMinutes} min not charged after your first station was full.`);
+  notes.push(`Prices include ${TAX_NAME} at ${roundMoney(TAX_RATE * 100)}%.`);
+
+  return {
+    title: 'Ride Receipt',
+    number: ride.receiptNumber,
+    issuer: ISSUER,
+    meta: [
+      ['Receipt no.', ride.receiptNumber || '-'],
+      ['Issued', formatDate(ride.endTime)],
+      ['Rider', ride.userId ? `${ride.userId.name} <${ride.userId.email}>` : '-'],
+      ['Cycle', [cycle.cycleId, cycle.model].filter(Boolean).join(' - ') || '-'],
+      ['From', `${stationName(ride.startStation)}, ${formatDate(ride.startTime)}`],
+      ['To', `${stationName(ride.endStation)}, ${formatDate(ride.endTime)}`],
+      ['Duration', ride.formattedDuration]
+    ],
+    columns: ['Item', 'Amount'],
+    rows,
+    totals: [
+      ['Taxable amount', formatMoney(tax.taxableAmount, currency)],
+      [`${TAX_NAME} (${roundMoney(TAX_RATE * 100)}%)`, formatMoney(tax.amount, currency)],
+      ['Total paid', formatMoney(fare.total, currency)]
+    ],
+    notes
+  };
+};
+
+// Describe a user's completed rides in a period as one invoice document
+const buildStatement = (user, rides, { from, to, label }) => {
+  const currency = (rides[0] && rides[0].fare && rides[0].fare.currency) || 'INR';
+  const total = roundMoney(rides.reduce((sum, ride) => sum + ((ride.fare && ride.fare.total) || 0), 0));
+  const minutes = rides.reduce((sum, ride) => sum + (ride.duration || 0), 0);
+  const tax = splitTax(total);
+  const number = `INV-${label.replace('-', '')}-${user._id.toString().slice(-6).toUpperCase()}`;
+
+  return {
+    title: 'Monthly Statement',
+    number,
+    issuer: ISSUER,
+    meta: [
+      ['Invoice no.', number],
+      ['Period', `${formatDate(from)} to ${formatDate(to)}`],
+      ['Rider', `${user.name} <${user.email}>`],
+      ['Rides', String(rides.length)],
+      ['Ride time', `${minutes} min`]
+    ],
+    columns: ['Receipt', 'Date', 'Route', 'Duration', 'Amount'],
+    rows: rides.map(ride => [
+      ride.receiptNumber || '-',
+      formatDate(ride.endTime),
+      `${stationName(ride.startStation)} -> ${stationName(ride.endStation)}`,
+      ride.formattedDuration,
+      formatMoney(ride.fare && ride.fare.total, currency)
+    ]),
+    totals: [
+      ['Taxable amount', formatMoney(tax.taxableAmount, currency)],
+      [`${TAX_NAME} (${roundMoney(TAX_RATE * 100)}%)`, formatMoney(tax.amount, currency)],
+      ['Total', formatMoney(total, currency)]
+    ],
+    notes: [`Prices include ${TAX_NAME} at ${roundMoney(TAX_RATE * 100)}%.`]
+  };
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderHtml = (doc) => {
+  const lastColumn = doc.columns.length - 1;
+  const cell = (tag, value, index) => `<${tag}${index === lastColumn ? ' class="amount"' : ''}>${escapeHtml(value)}</${tag}>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${doc.title} ${doc.number || ''}`)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 720px; margin: 32px auto; }
+  h1 { margin-bottom: 0; }
+  .issuer { color: #666; margin-top: 4px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+  .meta td:first-child { color: #666; width: 30%; }
+  .amount { text-align: right; }
+  .totals td { border: none; }
+  .totals tr:last-child td { font-weight: bold; border-top: 2px solid #222; }
+  .notes { color: #666; font-size: 0.9em; margin-top: 24px; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.title)}</h1>
+<div class="issuer">${escapeHtml(doc.issuer)}</div>
+<table class="meta">
+${doc.meta.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<table>
+<tr>${doc.columns.map((column, index) => cell('th', column, index)).join('')}</tr>
+${doc.rows.map(row => `<tr>${row.map((value, index) => cell('td', value, index)).join('')}</tr>`).join('\n')}
+</table>
+<table class="totals">
+${doc.totals.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<div class="notes">
+${doc.notes.map(note => `<p>${escapeHtml(note)}</p>`).join('\n')}
+</div>
+</body>
+</html>`;
+};
+
+const renderPdf = (doc) => new Promise((resolve, reject) => {
+  const pdf = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${doc.title} ${doc.number || ''}` } });
+  const chunks = [];
+
+  pdf.on('data', chunk => chunks.push(chunk));
+  pdf.on('end', () => resolve(Buffer.concat(chunks)));
+  pdf.on('error', reject);
+
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - pdf.page.margins.left - pdf.page.margins.right;
+
+  pdf.fontSize(20).font('Helvetica-Bold').text(doc.title);
+  pdf.fontSize(10).font('Helvetica').fillColor('#666666').text(doc.issuer).fillColor('#000000');
+  pdf.moveDown();
+
+  doc.meta.forEach(([label, value]) => {
+    pdf.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+  });
+  pdf.moveDown();
+
+  // Spread columns evenly, with the first (description) column twice as wide
+  const unit = width / (doc.columns.length + 1);
+  const columnX = doc.columns.map((column, index) => left + (index === 0 ? 0 : unit * (index + 1)));
+  const columnWidth = (index) => (index === 0 ? unit * 2 : unit) - 4;
+  const lastColumn = doc.columns.length - 1;
+
+  const drawRow = (values, font) => {
+    const y = pdf.y;
+    let bottom = y;
+    pdf.font(font);
+    values.forEach((value, index) => {
+      pdf.text(value, columnX[index], y, {
+        width: columnWidth(index),
+        align: index === lastColumn ? 'right' : 'left'
+      });
+      bottom = Math.max(bottom, pdf.y);
+    });
+    pdf.x = left;
+    pdf.y = bottom;
+    pdf.moveDown(0.5);
+  };
+
+  drawRow(doc.columns, 'Helvetica-Bold');
+  doc.rows.forEach(row => drawRow(row, 'Helvetica'));
+  pdf.moveTo(left, pdf.y).lineTo(left + width, pdf.y).stroke();
+  pdf.moveDown(0.5);
+
+  doc.totals.forEach(([label, value], index) => {
+    const y = pdf.y;
+    const font = index === doc.totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica';
+    pdf.font(font).text(label, left, y, { width: width / 2 });
+    pdf.text(value, left + width / 2, y, { width: width / 2, align: 'right' });
+    pdf.x = left;
+  });
+
+  pdf.moveDown();
+  pdf.fontSize(9).font('Helvetica').fillColor('#666666');
+  doc.notes.forEach(note => pdf.text(note));
+
+  pdf.end();
+});
+
+module.exports = {
+  assignReceiptNumber,
+  buildReceipt,
+  buildStatement,
+  renderHtml,
+  renderPdf
+};
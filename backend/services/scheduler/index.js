@@ -0,0 +1,82 @@
+// Minimal in-process job runner. Each job runs on its own interval and never
+// overlaps with itself; a failing run is logged and retried on the next tick.
+// Set SCHEDULER_ENABLED=false on all but one instance when running several.
+
+const jobs = new Map();
+
+const registerJob = (name, { intervalSeconds, run }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job '${name}' is already registered`);
+  }
+
+  jobs.set(name, {
+    name,
+    intervalMs: intervalSeconds * 1000,
+    run,
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    lastResult: null,
+    lastError: null
+  });
+};
+
+// Run a job now. Returns null if the job is already running.
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    const error = new Error(`Unknown job '${name}'`);
+    error.statusCode = 404;
+    throw error;
+  }
+  if (job.running) return null;
+
+  job.running = true;
+  try {
+    job.lastResult = await job.run(new Date());
+    job.lastError = null;
+    return job.lastResult;
+  } catch (error) {
+    console.error(`Job ${name} error:`, error);
+    job.lastError = error.message;
+    throw error;
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+  }
+};
+
+const startScheduler = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => {
+      runJob(job.name).catch(() => {});
+    }, job.intervalMs);
+  });
+  console.log(`⏱️  Scheduler started with ${jobs.size} job(s)`);
+};
+
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+const listJobs = () => Array.from(jobs.values()).map(job => ({
+  name: job.name,
+  intervalSeconds: job.intervalMs / 1000,
+  running: job.running,
+  scheduled: Boolean(job.timer),
+  lastRunAt: job.lastRunAt,
+  lastResult: job.lastResult,
+  lastError: job.lastError
+}));
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  listJobs
+};
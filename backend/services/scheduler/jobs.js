@@ -0,0 +1,56 @@
+const Reservation = require('../../models/Reservation');
+const { registerJob } = require('./index');
+const { scanOverdueRides } = require('../overdueRides');
+const { pullOverdueCycles } = require('../maintenance');
+const { trainForecasts } = require('../forecasting');
+const { sweepWaitlists } = require('../waitlist');
+const { deliverPending } = require('../notifications');
+
+// Register the backend's recurring jobs with the scheduler
+const registerDefaultJobs = () => {
+  // Release cycles held by reservations that were never picked up
+  registerJob('expire-reservations', {
+    intervalSeconds: parseInt(process.env.RESERVATION_SWEEP_SECONDS) || 60,
+    run: async () => {
+      const expired = await Reservation.expireStale();
+      if (expired > 0) {
+        console.log(`⏰ Expired ${expired} reservation(s)`);
+      }
+      return { expired };
+    }
+  });
+
+  // Flag overdue rides, escalate abandoned ones and close lost-cycle rides
+  registerJob('scan-overdue-rides', {
+    intervalSeconds: parseInt(process.env.RIDE_SCAN_SECONDS) || 300,
+    run: scanOverdueRides
+  });
+
+  // Take cycles past their service limit out of service
+  registerJob('check-service-due', {
+    intervalSeconds: parseInt(process.env.SERVICE_DUE_SCAN_SECONDS) || 3600,
+    run: pullOverdueCycles
+  });
+
+  // Lapse old waitlist entries and serve waiters at stations that have cycles again
+  registerJob('sweep-waitlists', {
+    intervalSeconds: parseInt(process.env.WAITLIST_SWEEP_SECONDS) || 60,
+    run: sweepWaitlists
+  });
+
+  // Send queued notifications and retry failed sends that are due again
+  registerJob('deliver-notifications', {
+    intervalSeconds: parseInt(process.env.NOTIFY_QUEUE_SECONDS) || 15,
+    run: deliverPending
+  });
+
+  // Relearn hourly station demand from recent rides
+  registerJob('train-demand-forecast', {
+    intervalSeconds: parseInt(process.env.FORECAST_TRAIN_SECONDS) || 86400,
+    run: trainForecasts
+  });
+};
+
+module.exports = {
+  registerDefaultJobs
+};
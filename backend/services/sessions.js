@@ -0,0 +1,184 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { notify } = require('./notifications');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+// Lifetime of access tokens; clients refresh them with their refresh token
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+// Sessions not refreshed for this many days expire
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+// Lifetime of tickets for opening a live update stream
+const STREAM_TICKET_SECONDS = parseInt(process.env.REALTIME_TICKET_SECONDS) || 30;
+// Swapped-out refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+// Sign a short-lived access token for a user's session
+const signAccessToken = (userId, sessionId) => {
+  const secret = process.env.JWT_SECRET;
+  
+  if (!secret) {
+    console.error('CRITICAL ERROR: JWT_SECRET environment variable is not defined!');
+    console.error('Please add JWT_SECRET to your .env file');
+    throw new Error('JWT_SECRET is not defined. Please check your environment configuration.');
+  }
+  
+  if (secret.length < 32) {
+    console.warn('WARNING: JWT_SECRET should be at least 32 characters long for security');
+  }
+  
+  return jwt.sign({ id: userId, sid: sessionId }, secret, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+};
+
+// Stream tickets are signed with their own key, so one can never pass as an
+// access token and an access token can never pass as a ticket
+const streamTicketSecret = () => `${process.env.JWT_SECRET}:realtime-stream`;
+
+// Sign a ticket that lets a session open one live update stream. Browsers
+// cannot set headers on an EventSource, so it goes in the URL; keeping it
+// short-lived and single-purpose limits what a logged URL gives away.
+const signStreamTicket = (userId, sessionId) => ({
+  ticket: jwt.sign({ id: userId, sid: sessionId }, streamTicketSecret(), {
+    expiresIn: STREAM_TICKET_SECONDS,
+    audience: 'realtime-stream'
+  }),
+  expiresIn: STREAM_TICKET_SECONDS
+});
+
+// Decode a stream ticket; throws if it is invalid or expired
+const verifyStreamTicket = (ticket) => jwt.verify(ticket, streamTicketSecret(), {
+  audience: 'realtime-stream'
+});
+
+// Refresh tokens are `<session id>.<secret>` so the session can be found
+// without scanning hashes
+const tokensFor = (session, secret) => ({
+  token: signAccessToken(session.userId, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_EXPIRE
+});
+
+const clientOf = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip || null
+});
+
+// Sign a user in on a new device
+const createSession = async (user, req, { deviceName = null } = {}) => {
+  const secret = randomToken();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(secret),
+    deviceName,
+    ...clientOf(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS)
+  });
+
+  return tokensFor(session, secret);
+};
+
+// Swap a refresh token for a new access and refresh token. A refresh token
+// that was already swapped is taken as stolen, and its session is ended.
+const refreshSession = async (refreshToken, req, now = new Date()) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId).select('+tokenHash +previousTokenHashes');
+  if (!session) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const hash = hashToken(secret);
+  if (session.tokenHash !== hash) {
+    if (session.previousTokenHashes.includes(hash) && !session.revokedAt) {
+      await revokeSession(session._id, 'token-reuse');
+      notify(session.userId, 'session-reuse', { session });
+      throw sessionError('Refresh token was already used; the session has been signed out');
+    }
+    throw sessionError('Invalid refresh token');
+  }
+
+  if (!session.isActive(now)) {
+    throw sessionError('Session has ended, please log in again');
+  }
+
+  const user = await User.findById(session.userId).select('isActive');
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, 'deactivated');
+    throw sessionError('User account is deactivated');
+  }
+
+  const nextSecret = randomToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash, revokedAt: null },
+    {
+      tokenHash: hashToken(nextSecret),
+      $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS } },
+      ...clientOf(req),
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * DAY_MS)
+    },
+    { new: true }
+  );
+
+  // Another request swapped the same token first
+  if (!rotated) {
+    throw sessionError('Refresh token was already used');
+  }
+
+  return tokensFor(rotated, nextSecret);
+};
+
+// End one session; pass `userId` to only end it if it is theirs
+const revokeSession = async (sessionId, reason, { userId = null } = {}) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.userId = userId;
+
+  const result = await Session.updateOne(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount > 0;
+};
+
+// End every session of a user, optionally keeping one
+const revokeUserSessions = async (userId, reason, { except = null } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+const isSessionActive = (sessionId, now = new Date()) => Session.exists({
+  _id: sessionId,
+  revokedAt: null,
+  expiresAt: { $gt: now }
+});
+
+const listSessions = (userId, now = new Date()) => Session.find({
+  userId,
+  revokedAt: null,
+  expiresAt: { $gt: now }
+}).sort({ lastUsedAt: -1 });
+
+module.exports = {
+  signAccessToken,
+  signStreamTicket,
+  verifyStreamTicket,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  listSessions
+};
@@ -0,0 +1,28 @@
+// File storage backends implement:
+//   name                                          - key stored alongside saved files
+//   save({ buffer, originalName, mimeType, folder })  -> { key }
+//   read(key)                                     -> Buffer, or null if missing
+//   remove(key)
+// Keys are backend-specific; only the backend that saved a file can read or
+// remove it. Files are never served publicly: routes read them back and check
+// who is asking first.
+const backends = {};
+
+const registerStorage = (backend) => {
+  backends[backend.name] = backend;
+};
+
+registerStorage(require('./localStorage'));
+
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Storage backend '${name}' is not configured`);
+  }
+  return backend;
+};
+
+module.exports = {
+  registerStorage,
+  getStorage
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores files on local disk under UPLOAD_DIR
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+const save = async ({ buffer, originalName, mimeType, folder = '' }) => {
+  const extension = EXTENSIONS[mimeType] || path.extname(originalName || '').toLowerCase();
+  const key = path.posix.join(folder, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`);
+  const filePath = path.join(UPLOAD_DIR, key);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  return { key };
+};
+
+// Where a key lives on disk, or null for one that points outside the upload directory
+const pathOf = (key) => {
+  const filePath = path.join(UPLOAD_DIR, key);
+  return filePath.startsWith(UPLOAD_DIR + path.sep) ? filePath : null;
+};
+
+const read = async (key) => {
+  const filePath = pathOf(key);
+  if (!filePath) return null;
+
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+const remove = async (key) => {
+  const filePath = pathOf(key);
+  if (!filePath) return;
+
+  await fs.rm(filePath, { force: true });
+};
+
+module.exports = {
+  name: 'local',
+  UPLOAD_DIR,
+  save,
+  read,
+  remove
+};
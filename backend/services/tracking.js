@@ -0,0 +1,83 @@
+const { haversineDistance, encodePolyline } = require('../utils/geo');
+
+// Points closer than this to the previous one are GPS jitter and are dropped
+const MIN_POINT_DISTANCE = parseFloat(process.env.TRACK_MIN_POINT_DISTANCE) || 5;
+// Fixes implying a faster speed than a bicycle can manage are discarded
+const MAX_SPEED_KMH = parseFloat(process.env.TRACK_MAX_SPEED_KMH) || 60;
+const MAX_ACCURACY = parseFloat(process.env.TRACK_MAX_ACCURACY) || 50;
+const MAX_POINTS = parseInt(process.env.TRACK_MAX_POINTS) || 5000;
+
+const roundCoordinate = (value) => Math.round(value * 1e6) / 1e6;
+
+const speedKmh = (meters, seconds) => (seconds > 0 ? (meters / seconds) * 3.6 : 0);
+
+// Reduce raw location fixes for an active ride to the points worth storing.
+// The track is kept compact: coordinates are rounded to ~0.1 m, jitter and
+// implausible jumps are dropped, and times are stored as whole seconds since
+// the ride started rather than full dates.
+const compressPoints = (ride, points, now = new Date()) => {
+  const coordinates = (ride.track && ride.track.coordinates) || [];
+  const offsets = ride.trackOffsets || [];
+  const startMs = ride.startTime.getTime();
+  const room = MAX_POINTS - coordinates.length;
+
+  let last = coordinates.length > 0
+    ? { coordinate: coordinates[coordinates.length - 1], offset: offsets[offsets.length - 1] }
+    : null;
+
+  const accepted = { coordinates: [], offsets: [] };
+  const sorted = [...points].sort((a, b) => new Date(a.timestamp || now) - new Date(b.timestamp || now));
+
+  for (const point of sorted) {
+    if (accepted.coordinates.length >= room) break;
+    if (point.accuracy !== undefined && point.accuracy > MAX_ACCURACY) continue;
+
+    const time = point.timestamp ? new Date(point.timestamp).getTime() : now.getTime();
+    if (Number.isNaN(time) || time < startMs || time > now.getTime()) continue;
+
+    const coordinate = [roundCoordinate(point.longitude), roundCoordinate(point.latitude)];
+    const offset = Math.round((time - startMs) / 1000);
+
+    if (last) {
+      if (offset <= last.offset) continue;
+
+      const distance = haversineDistance(last.coordinate, coordinate);
+      if (distance < MIN_POINT_DISTANCE) continue;
+      if (speedKmh(distance, offset - last.offset) > MAX_SPEED_KMH) continue;
+    }
+
+    accepted.coordinates.push(coordinate);
+    accepted.offsets.push(offset);
+    last = { coordinate, offset };
+  }
+
+  return accepted;
+};
+
+// Distance, speeds and route polyline for a finished ride
+const summarizeTrip = (ride, durationMinutes) => {
+  const coordinates = (ride.track && ride.track.coordinates) || [];
+  const offsets = ride.trackOffsets || [];
+  let distance = 0;
+  let maxSpeed = 0;
+
+  for (let i = 1; i < coordinates.length; i++) {
+    const segment = haversineDistance(coordinates[i - 1], coordinates[i]);
+    distance += segment;
+    maxSpeed = Math.max(maxSpeed, speedKmh(segment, offsets[i] - offsets[i - 1]));
+  }
+
+  return {
+    distance: Math.round(distance),
+    avgSpeed: Math.round(speedKmh(distance, durationMinutes * 60) * 10) / 10,
+    maxSpeed: Math.round(maxSpeed * 10) / 10,
+    pointCount: coordinates.length,
+    polyline: encodePolyline(coordinates)
+  };
+};
+
+module.exports = {
+  MAX_POINTS,
+  compressPoints,
+  summarizeTrip
+};
@@ -0,0 +1,295 @@
+const Counter = require('../models/Counter');
+const Cycle = require('../models/Cycle');
+const CycleMovement = require('../models/CycleMovement');
+const RebalancingTask = require('../models/RebalancingTask');
+const Station = require('../models/Station');
+const { checkDockAvailable } = require('./docking');
+const { statusAfterRide } = require('./maintenance');
+
+// Docked cycles that staff may load onto a van; reserved and in-use cycles stay put
+const MOVABLE_STATUSES = ['available', 'maintenance', 'out-of-service'];
+// Most cycles one transfer can carry
+const MAX_CYCLES = parseInt(process.env.CYCLE_TRANSFER_MAX) || 20;
+
+const transferError = (statusCode, message, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+const stationFullError = (full) => transferError(409, `${full.station.name} does not have enough free docks`, {
+  code: 'STATION_FULL',
+  details: full
+});
+
+const findStation = async (stationId) => {
+  const station = await Station.findOne({ _id: stationId, isActive: true });
+  if (!station) throw transferError(404, 'Station not found');
+  return station;
+};
+
+// In-transit movements of a transfer, optionally only for some cycles
+const findInTransit = async (transferNumber, cycleIds) => {
+  const filter = { transferNumber, status: 'in-transit' };
+  if (cycleIds && cycleIds.length) filter.cycleId = { $in: cycleIds };
+
+  const movements = await CycleMovement.find(filter);
+  if (movements.length === 0) {
+    throw transferError(404, 'No cycles in transit for this transfer');
+  }
+  return movements;
+};
+
+// Put a cycle back in a dock, unless someone else already did
+const dockCycle = async (movement, station, status, { userId, now }) => {
+  const result = await Cycle.updateOne(
+    { _id: movement.cycleId, status: 'in-transit' },
+    { status, stationId: station._id, updatedAt: now }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  movement.deliveredTo = station._id;
+  movement.droppedOffBy = userId;
+  movement.droppedOffAt = now;
+  return true;
+};
+
+// Close the rebalancing task behind a transfer once nothing is left in transit
+const completeRebalancingTask = async (transferNumber, taskId, { userId, now }) => {
+  if (!taskId) return;
+  if (await CycleMovement.exists({ transferNumber, status: 'in-transit' })) return;
+
+  const task = await RebalancingTask.findById(taskId);
+  if (!task || task.status !== 'pending') return;
+
+  const movedCount = await CycleMovement.countDocuments({
+    transferNumber,
+    status: 'delivered',
+    deliveredTo: task.toStation
+  });
+
+  await RebalancingTask.updateOne(
+    { _id: task._id, status: 'pending' },
+    {
+      status: 'done',
+      movedCount,
+      notes: `Completed by transfer ${transferNumber}`,
+      completedBy: userId,
+      completedAt: now,
+      updatedAt: now
+    }
+  );
+};
+
+// Pick up cycles for a move to `toStationId`. All cycles are marked
+// in-transit or none are. With a rebalancing task the destination defaults
+// to the task's, and the task is completed when the transfer is dropped off.
+const startTransfer = async ({ cycleIds, toStationId, rebalancingTaskId = null, movedBy, notes, now = new Date() }) => {
+  const ids = [...new Set((cycleIds || []).map(String))];
+  if (ids.length === 0) throw transferError(400, 'At least one cycle is required');
+  if (ids.length > MAX_CYCLES) {
+    throw transferError(400, `A transfer can carry at most ${MAX_CYCLES} cycles`);
+  }
+
+  let task = null;
+  if (rebalancingTaskId) {
+    task = await RebalancingTask.findOne({ _id: rebalancingTaskId, status: 'pending' });
+    if (!task) throw transferError(404, 'Pending rebalancing task not found');
+  }
+
+  const destination = toStationId || (task && task.toStation);
+  if (!destination) throw transferError(400, 'Destination station is required');
+  const toStation = await findStation(destination);
+
+  const cycles = await Cycle.find({ _id: { $in: ids }, isActive: true });
+  if (cycles.length !== ids.length) {
+    const found = cycles.map(cycle => cycle._id.toString());
+    throw transferError(404, 'Some cycles were not found', {
+      details: { cycleIds: ids.filter(id => !found.includes(id)) }
+    });
+  }
+
+  const unmovable = cycles.filter(cycle => !MOVABLE_STATUSES.includes(cycle.status) ||
+    String(cycle.stationId) === String(toStation._id));
+  if (unmovable.length) {
+    throw transferError(409, 'Some cycles cannot be moved', {
+      details: {
+        cycles: unmovable.map(({ _id, cycleId, status, stationId }) => ({ _id, cycleId, status, stationId }))
+      }
+    });
+  }
+
+  // Take each cycle only if nobody reserved or rode it since it was read
+  const pickedUp = [];
+  for (const cycle of cycles) {
+    const result = await Cycle.updateOne(
+      { _id: cycle._id, status: cycle.status, stationId: cycle.stationId },
+      { status: 'in-transit', updatedAt: now }
+    );
+    if (result.modifiedCount === 0) break;
+    pickedUp.push(cycle);
+  }
+
+  const undoPickup = () => Promise.all(pickedUp.map(cycle => Cycle.updateOne(
+    { _id: cycle._id, status: 'in-transit' },
+    { status: cycle.status, updatedAt: new Date() }
+  )));
+
+  if (pickedUp.length < cycles.length) {
+    await undoPickup();
+    throw transferError(409, 'A cycle was taken while the transfer was being started; try again');
+  }
+
+  try {
+    const seq = await Counter.next('cycle-transfer');
+    const transferNumber = `TR-${String(seq).padStart(6, '0')}`;
+
+    return await CycleMovement.insertMany(cycles.map(cycle => ({
+      transferNumber,
+      type: 'transfer',
+      cycleId: cycle._id,
+      fromStation: cycle.stationId,
+      toStation: toStation._id,
+      previousStatus: cycle.status,
+      rebalancingTaskId: task ? task._id : null,
+      pickedUpBy: movedBy,
+      pickedUpAt: now,
+      notes
+    })));
+  } catch (error) {
+    await undoPickup();
+    throw error;
+  }
+};
+
+// Dock a transfer's cycles at its destination, or at `stationId` if the van
+// was sent elsewhere. Without `cycleIds` every cycle still in transit is
+// dropped off. The station must have a free dock for each cycle.
+const dropOffTransfer = async (transferNumber, { stationId, cycleIds, droppedOffBy, now = new Date() }) => {
+  const movements = await findInTransit(transferNumber, cycleIds);
+  const station = await findStation(stationId || movements[0].toStation);
+
+  const full = await checkDockAvailable(station, { count: movements.length });
+  if (full) throw stationFullError(full);
+
+  const delivered = [];
+  for (const movement of movements) {
+    // Damage reported on the way keeps a cycle out of service
+    const status = movement.previousStatus === 'available'
+      ? await statusAfterRide(movement.cycleId)
+      : movement.previousStatus;
+
+    if (await dockCycle(movement, station, status, { userId: droppedOffBy, now })) {
+      movement.status = 'delivered';
+      await movement.save();
+      delivered.push(movement);
+    }
+  }
+
+  await completeRebalancingTask(transferNumber, movements[0].rebalancingTaskId, { userId: droppedOffBy, now });
+  return delivered;
+};
+
+// Return a transfer's cycles to the stations they were picked up from
+const cancelTransfer = async (transferNumber, { cycleIds, cancelledBy, notes, now = new Date() }) => {
+  const movements = await findInTransit(transferNumber, cycleIds);
+
+  const byStation = new Map();
+  movements.forEach(movement => {
+    const key = movement.fromStation.toString();
+    byStation.set(key, [...(byStation.get(key) || []), movement]);
+  });
+
+  // Other cycles may have taken the docks these ones left
+  const stations = new Map();
+  for (const [id, group] of byStation) {
+    const station = await Station.findById(id);
+    const full = await checkDockAvailable(station, { count: group.length });
+    if (full) throw stationFullError(full);
+    stations.set(id, station);
+  }
+
+  const returned = [];
+  for (const movement of movements) {
+    const station = stations.get(movement.fromStation.toString());
+    if (await dockCycle(movement, station, movement.previousStatus, { userId: cancelledBy, now })) {
+      movement.status = 'cancelled';
+      if (notes) movement.notes = notes;
+      await movement.save();
+      returned.push(movement);
+    }
+  }
+
+  return returned;
+};
+
+// Record an admin correcting which station a docked cycle is at
+const recordAdjustment = (cycle, toStationId, { movedBy, now = new Date() }) => CycleMovement.create({
+  type: 'adjustment',
+  cycleId: cycle._id,
+  fromStation: cycle.stationId,
+  toStation: toStationId,
+  deliveredTo: toStationId,
+  status: 'delivered',
+  previousStatus: cycle.status,
+  pickedUpBy: movedBy,
+  pickedUpAt: now,
+  droppedOffBy: movedBy,
+  droppedOffAt: now
+});
+
+// One row per transfer, newest first
+const listTransfers = async ({ status, skip = 0, limit = 20 } = {}) => {
+  const pipeline = [
+    { $match: { type: 'transfer' } },
+    { $sort: { pickedUpAt: -1 } },
+    {
+      $group: {
+        _id: '$transferNumber',
+        toStation: { $first: '$toStation' },
+        fromStations: { $addToSet: '$fromStation' },
+        rebalancingTaskId: { $first: '$rebalancingTaskId' },
+        pickedUpBy: { $first: '$pickedUpBy' },
+        pickedUpAt: { $first: '$pickedUpAt' },
+        lastDropOffAt: { $max: '$droppedOffAt' },
+        cycles: { $sum: 1 },
+        inTransit: { $sum: { $cond: [{ $eq: ['$status', 'in-transit'] }, 1, 0] } },
+        delivered: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } }
+      }
+    },
+    { $addFields: { status: { $cond: [{ $gt: ['$inTransit', 0] }, 'in-transit', 'closed'] } } }
+  ];
+  if (status) pipeline.push({ $match: { status } });
+
+  const [result] = await CycleMovement.aggregate([
+    ...pipeline,
+    { $sort: { pickedUpAt: -1 } },
+    {
+      $facet: {
+        data: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const transfers = await Station.populate(result.data, [
+    { path: 'toStation', model: 'Station', select: 'name location' },
+    { path: 'fromStations', model: 'Station', select: 'name location' }
+  ]);
+
+  return {
+    transfers,
+    total: result.total.length ? result.total[0].count : 0
+  };
+};
+
+module.exports = {
+  MOVABLE_STATUSES,
+  startTransfer,
+  dropOffTransfer,
+  cancelTransfer,
+  recordAdjustment,
+  listTransfers
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const VerificationCode = require('../models/VerificationCode');
+const { notify } = require('./notifications');
+const { hashToken } = require('../utils/tokens');
+
+// How long a verification code can be used for
+const CODE_MINUTES = parseInt(process.env.VERIFY_CODE_MINUTES) || 15;
+// Wrong guesses allowed against one code
+const MAX_ATTEMPTS = parseInt(process.env.VERIFY_MAX_ATTEMPTS) || 5;
+// Wait between codes sent to the same user on the same channel
+const RESEND_SECONDS = parseInt(process.env.VERIFY_RESEND_SECONDS) || 60;
+// Most codes sent to a user on one channel in an hour
+const MAX_SENDS_PER_HOUR = parseInt(process.env.VERIFY_MAX_SENDS_PER_HOUR) || 5;
+// Page of the app that takes an email and code, e.g. https://app.example.com/verify-email
+const EMAIL_VERIFY_URL = process.env.EMAIL_VERIFY_URL || null;
+// What a user must have verified before starting a ride:
+// none, email, phone, email-or-phone or email-and-phone
+const RIDE_POLICY = process.env.RIDE_VERIFICATION_POLICY || 'email';
+
+const POLICIES = ['none', 'email', 'phone', 'email-or-phone', 'email-and-phone'];
+if (!POLICIES.includes(RIDE_POLICY)) {
+  throw new Error(`RIDE_VERIFICATION_POLICY must be one of ${POLICIES.join(', ')}`);
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const verificationError = (statusCode, message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, details);
+  return error;
+};
+
+const targetOf = (user, channel) => (channel === 'email' ? user.email : user.phone);
+const isVerified = (user, channel) => Boolean(channel === 'email' ? user.emailVerified : user.phoneVerified);
+
+// Send a fresh code to the user's email or phone, replacing any open one
+const sendCode = async (user, channel, now = new Date()) => {
+  const target = targetOf(user, channel);
+  if (!target) {
+    throw verificationError(400, 'Add a phone number to your profile first');
+  }
+  if (isVerified(user, channel)) {
+    throw verificationError(400, `Your ${channel === 'email' ? 'email address' : 'phone number'} is already verified`);
+  }
+
+  const recent = await VerificationCode.find({
+    userId: user._id,
+    channel,
+    createdAt: { $gt: new Date(now.getTime() - HOUR_MS) }
+  }).sort({ createdAt: -1 }).select('createdAt');
+
+  const wait = recent.length
+    ? Math.ceil((recent[0].createdAt.getTime() + RESEND_SECONDS * 1000 - now.getTime()) / 1000)
+    : 0;
+  if (wait > 0 || recent.length >= MAX_SENDS_PER_HOUR) {
+    const retryAfter = wait > 0
+      ? wait
+      : Math.ceil((recent[recent.length - 1].createdAt.getTime() + HOUR_MS - now.getTime()) / 1000);
+    throw verificationError(429, `Please wait ${retryAfter} seconds before requesting another code`, { retryAfter });
+  }
+
+  await VerificationCode.updateMany(
+    { userId: user._id, channel, consumedAt: null },
+    { consumedAt: now }
+  );
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const record = await VerificationCode.create({
+    userId: user._id,
+    channel,
+    target,
+    codeHash: hashToken(code),
+    expiresAt: new Date(now.getTime() + CODE_MINUTES * 60 * 1000)
+  });
+
+  notify(user._id, channel === 'email' ? 'verify-email' : 'verify-phone', {
+    code,
+    verifyUrl: channel === 'email' && EMAIL_VERIFY_URL
+      ? `${EMAIL_VERIFY_URL}?email=${encodeURIComponent(target)}&code=${code}`
+      : null,
+    minutes: CODE_MINUTES
+  });
+
+  return { expiresAt: record.expiresAt, resendAfter: RESEND_SECONDS };
+};
+
+// Check a code against the user's open one and mark the channel verified
+const verifyCode = async (user, channel, code, now = new Date()) => {
+  if (isVerified(user, channel)) return user;
+
+  const record = await VerificationCode.findOne({
+    userId: user._id,
+    channel,
+    target: targetOf(user, channel),
+    consumedAt: null,
+    expiresAt: { $gt: now }
+  }).sort({ createdAt: -1 });
+
+  if (!record) {
+    throw verificationError(400, 'No valid code found; request a new one');
+  }
+  if (record.attempts >= MAX_ATTEMPTS) {
+    throw verificationError(429, 'Too many wrong codes; request a new one');
+  }
+
+  if (hashToken(String(code).trim()) !== record.codeHash) {
+    // Count the guess atomically so parallel guesses cannot exceed the limit
+    const counted = await VerificationCode.findOneAndUpdate(
+      { _id: record._id, attempts: { $lt: MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    const attemptsLeft = counted ? MAX_ATTEMPTS - counted.attempts : 0;
+    throw verificationError(400, 'Invalid verification code', { attemptsLeft });
+  }
+
+  const consumed = await VerificationCode.updateOne(
+    { _id: record._id, consumedAt: null },
+    { consumedAt: now }
+  );
+  if (consumed.modifiedCount === 0) {
+    throw verificationError(400, 'No valid code found; request a new one');
+  }
+
+  const update = channel === 'email'
+    ? { emailVerified: true, emailVerifiedAt: now }
+    : { phoneVerified: true, phoneVerifiedAt: now };
+  return User.findByIdAndUpdate(user._id, update, { new: true });
+};
+
+// The verifications the ride policy still needs from a user; empty when they may ride
+const missingForRide = (user) => {
+  const email = !user.emailVerified;
+  const phone = !user.phoneVerified;
+
+  switch (RIDE_POLICY) {
+    case 'email':
+      return email ? ['email'] : [];
+    case 'phone':
+      return phone ? ['phone'] : [];
+    case 'email-or-phone':
+      return email && phone ? ['email', 'phone'] : [];
+    case 'email-and-phone':
+      return [...(email ? ['email'] : []), ...(phone ? ['phone'] : [])];
+    default:
+      return [];
+  }
+};
+
+module.exports = {
+  RIDE_POLICY,
+  sendCode,
+  verifyCode,
+  missingForRide
+};
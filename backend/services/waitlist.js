@@ -0,0 +1,150 @@
+const Cycle = require('../models/Cycle');
+const Reservation = require('../models/Reservation');
+const Ride = require('../models/Ride');
+const Station = require('../models/Station');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { notifyUser } = require('./realtime');
+const { notify } = require('./notifications');
+
+// How long a rider stays on a waitlist before the entry lapses
+const ENTRY_MINUTES = parseInt(process.env.WAITLIST_ENTRY_MINUTES) || 60;
+// Hold placed for the first waiter when a cycle comes back; 0 only notifies
+const HOLD_MINUTES = process.env.WAITLIST_HOLD_MINUTES !== undefined
+  ? parseInt(process.env.WAITLIST_HOLD_MINUTES)
+  : 5;
+
+const waitlistError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const countAvailable = (stationId) => Cycle.countDocuments({
+  stationId,
+  status: 'available',
+  isActive: true
+});
+
+// Put a rider on an empty station's waitlist
+const joinWaitlist = async (user, stationId, now = new Date()) => {
+  const station = await Station.findOne({ _id: stationId, isActive: true });
+  if (!station) throw waitlistError(404, 'Station not found');
+
+  if (await countAvailable(station._id) > 0) {
+    throw waitlistError(400, 'Cycles are available at this station; reserve or unlock one instead');
+  }
+
+  try {
+    return await WaitlistEntry.create({
+      userId: user._id,
+      stationId: station._id,
+      expiresAt: new Date(now.getTime() + ENTRY_MINUTES * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw waitlistError(400, 'You are already on the waitlist for this station');
+    }
+    throw error;
+  }
+};
+
+// Reserve any available cycle at the station for a waiter, unless they are
+// already riding or holding one. Returns the reservation or null.
+const holdCycleFor = async (entry, now) => {
+  const [activeRide, activeReservation] = await Promise.all([
+    Ride.exists({ userId: entry.userId, status: 'active' }),
+    Reservation.findActiveReservation(entry.userId)
+  ]);
+  if (activeRide || activeReservation) return null;
+
+  const cycle = await Cycle.findOneAndUpdate(
+    { stationId: entry.stationId, status: 'available', isActive: true },
+    { status: 'reserved' },
+    { new: true }
+  );
+  if (!cycle) return null;
+
+  try {
+    return await Reservation.create({
+      userId: entry.userId,
+      stationId: entry.stationId,
+      cycleId: cycle._id,
+      anyCycle: true,
+      source: 'waitlist',
+      holdMinutes: HOLD_MINUTES,
+      expiresAt: new Date(now.getTime() + HOLD_MINUTES * 60 * 1000)
+    });
+  } catch (error) {
+    await cycle.updateStatus('available');
+    throw error;
+  }
+};
+
+// Serve a station's waitlist in order while it has cycles to offer. Each
+// waiter is notified, and given a short hold when holds are turned on.
+const processWaitlist = async (stationId, now = new Date()) => {
+  const notified = [];
+  let unheld = 0;
+  let station = null;
+
+  // Waiters notified without a hold are each counted against one available cycle
+  while (await countAvailable(stationId) > unheld) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { stationId, status: 'waiting', expiresAt: { $gt: now } },
+      { status: 'notified', notifiedAt: now, endedAt: now },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!entry) break;
+
+    const reservation = HOLD_MINUTES > 0 ? await holdCycleFor(entry, now) : null;
+    if (reservation) {
+      entry.reservationId = reservation._id;
+      await entry.save();
+    } else {
+      unheld += 1;
+    }
+
+    station = station || await Station.findById(stationId).select('name location');
+    notifyUser(entry.userId, 'waitlist', {
+      entry,
+      station,
+      reservation,
+      message: reservation
+        ? `A cycle is held for you at ${station.name} for ${HOLD_MINUTES} minutes`
+        : `A cycle is available at ${station.name}`
+    });
+    notify(entry.userId, 'waitlist-ready', { station, reservation, holdMinutes: HOLD_MINUTES });
+    notified.push(entry);
+  }
+
+  return notified;
+};
+
+// Serve a station's waitlist without holding up the caller
+const notifyWaitlist = (stationId) => {
+  if (!stationId) return;
+  processWaitlist(stationId).catch(error => console.error('Waitlist error:', error));
+};
+
+// Lapse old entries, then serve every station with riders waiting. Catches
+// cycles freed without an explicit trigger, such as lapsed holds.
+const sweepWaitlists = async (now = new Date()) => {
+  const expired = await WaitlistEntry.updateMany(
+    { status: 'waiting', expiresAt: { $lte: now } },
+    { status: 'expired', endedAt: now }
+  );
+
+  const stationIds = await WaitlistEntry.distinct('stationId', { status: 'waiting' });
+  let notified = 0;
+  for (const stationId of stationIds) {
+    notified += (await processWaitlist(stationId, now)).length;
+  }
+
+  return { expired: expired.modifiedCount, notified };
+};
+
+module.exports = {
+  joinWaitlist,
+  notifyWaitlist,
+  sweepWaitlists
+};
@@ -0,0 +1,53 @@
+const EventEmitter = require('events');
+
+const UPDATE_OPS = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const DELETE_OPS = ['deleteOne', 'findOneAndDelete'];
+
+// Paths an update document writes, e.g. { $set: { 'fare.total': 1 } } -> ['fare.total']
+const updatedPaths = (update) => Object.keys(update || {}).flatMap(key => (
+  key.startsWith('$') ? Object.keys(update[key] || {}) : [key]
+));
+
+// Mongoose plugin that emits 'change' on `Model.changes` when any of `fields`
+// is written, through save, an update query or a delete. Listeners get
+// `{ ids, before }`: the ids of the changed documents, and for queries their
+// `fields` as they were beforehand (null after a save). Nothing extra is
+// queried while there are no listeners.
+const trackChanges = (schema, { fields }) => {
+  const changes = new EventEmitter();
+  const listening = () => changes.listenerCount('change') > 0;
+  const touches = (paths) => paths.some(path => fields.some(field => path === field || path.startsWith(`${field}.`)));
+
+  schema.pre('save', function(next) {
+    this.$locals.changeTracked = listening() && (this.isNew || fields.some(field => this.isModified(field)));
+    next();
+  });
+
+  schema.post('save', function(doc) {
+    if (doc.$locals.changeTracked) {
+      changes.emit('change', { ids: [doc._id], before: null });
+    }
+  });
+
+  schema.pre([...UPDATE_OPS, ...DELETE_OPS], async function() {
+    if (!listening()) return;
+    if (UPDATE_OPS.includes(this.op) && !touches(updatedPaths(this.getUpdate()))) return;
+
+    const query = this.model.find(this.getFilter()).select(fields.join(' ')).lean();
+    if (this.op !== 'updateMany') query.limit(1);
+    this._changeTrackedBefore = await query;
+  });
+
+  schema.post([...UPDATE_OPS, ...DELETE_OPS], function() {
+    const before = this._changeTrackedBefore;
+    if (before && before.length) {
+      changes.emit('change', { ids: before.map(doc => doc._id), before });
+    }
+  });
+
+  schema.statics.changes = changes;
+};
+
+module.exports = {
+  trackChanges
+};
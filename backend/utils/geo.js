@@ -0,0 +1,48 @@
+// Geographic helpers. Coordinates follow GeoJSON order: [longitude, latitude].
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two [lng, lat] points, in meters
+const haversineDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+const encodeSignedValue = (value) => {
+  let encoded = '';
+  let remaining = value < 0 ? ~(value << 1) : value << 1;
+
+  while (remaining >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+    remaining >>= 5;
+  }
+  return encoded + String.fromCharCode(remaining + 63);
+};
+
+// Encode [lng, lat] points with the Google encoded polyline algorithm
+// (precision 5), which map SDKs can draw directly
+const encodePolyline = (coordinates) => {
+  let previousLat = 0;
+  let previousLng = 0;
+
+  return (coordinates || []).map(([lng, lat]) => {
+    const scaledLat = Math.round(lat * 1e5);
+    const scaledLng = Math.round(lng * 1e5);
+    const encoded = encodeSignedValue(scaledLat - previousLat) + encodeSignedValue(scaledLng - previousLng);
+
+    previousLat = scaledLat;
+    previousLng = scaledLng;
+    return encoded;
+  }).join('');
+};
+
+module.exports = {
+  haversineDistance,
+  encodePolyline
+};
@@ -0,0 +1,161 @@
+// Fare calculation for rides. Every place that needs a ride price goes through
+// calculateFare so the stored fare, user stats and admin reports agree.
+
+// Used when no tariff has been configured yet: ₹10 per started hour
+const DEFAULT_TARIFF = {
+  _id: null,
+  name: 'Default',
+  currency: 'INR',
+  rateType: 'per-block',
+  unlockFee: 0,
+  perMinuteRate: 0,
+  blockMinutes: 60,
+  blockRate: 10,
+  freeMinutes: 0,
+  dailyCap: null,
+  rolePrices: [],
+  maxRideMinutes: 240,
+  lateFee: 50,
+  lateFeePerHour: 20,
+  lateFeeCap: 500,
+  lostCycleFee: 0
+};
+
+const RATE_KEYS = ['unlockFee', 'perMinuteRate', 'blockMinutes', 'blockRate', 'freeMinutes', 'dailyCap'];
+// Penalties are the same for every role
+const PENALTY_KEYS = ['maxRideMinutes', 'lateFee', 'lateFeePerHour', 'lateFeeCap', 'lostCycleFee'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Merge the base tariff with the override for the rider's role, if any
+const resolveRates = (tariff, role) => {
+  const source = tariff || DEFAULT_TARIFF;
+  const rates = { rateType: source.rateType, currency: source.currency };
+
+  RATE_KEYS.forEach(key => {
+    rates[key] = source[key];
+  });
+  PENALTY_KEYS.forEach(key => {
+    rates[key] = source[key] !== undefined ? source[key] : DEFAULT_TARIFF[key];
+  });
+
+  const override = (source.rolePrices || []).find(price => price.role === role);
+  if (override) {
+    RATE_KEYS.forEach(key => {
+      if (override[key] !== undefined && override[key] !== null) {
+        rates[key] = override[key];
+      }
+    });
+  }
+
+  return rates;
+};
+
+// Price the time component of a ride after free minutes are taken off
+const calculateTimeCharge = (rates, billableMinutes) => {
+  if (billableMinutes <= 0) return 0;
+
+  if (rates.rateType === 'per-block') {
+    const blocks = Math.ceil(billableMinutes / rates.blockMinutes);
+    return blocks * rates.blockRate;
+  }
+
+  return billableMinutes * rates.perMinuteRate;
+};
+
+// Money taken off a subtotal by a percentage or flat promo code
+const calculatePromoDiscount = (promo, subtotal) => {
+  if (!promo || subtotal <= 0) return 0;
+
+  if (promo.discountType === 'percentage') {
+    const discount = subtotal * promo.value / 100;
+    return promo.maxDiscount !== null && promo.maxDiscount !== undefined
+      ? Math.min(discount, promo.maxDiscount)
+      : discount;
+  }
+
+  if (promo.discountType === 'flat') {
+    return Math.min(promo.value, subtotal);
+  }
+
+  return 0;
+};
+
+// Late fee for a ride kept out past the maximum ride length: a flat fee plus
+// a charge for every started hour over, up to the cap
+const calculateLateFee = (rates, durationMinutes) => {
+  if (!rates.maxRideMinutes || durationMinutes <= rates.maxRideMinutes) return 0;
+
+  const hoursOver = Math.ceil((durationMinutes - rates.maxRideMinutes) / 60);
+  const fee = (rates.lateFee || 0) + hoursOver * (rates.lateFeePerHour || 0);
+
+  return rates.lateFeeCap !== null && rates.lateFeeCap !== undefined
+    ? Math.min(fee, rates.lateFeeCap)
+    : fee;
+};
+
+// Calculate the fare for a ride; chargedToday is what the rider has already
+// paid today and is only used to apply the daily cap. A ride pass covers
+// `includedMinutes` on top of the tariff's free minutes and waives the unlock fee.
+// A promo code either adds free minutes or takes money off before the daily cap.
+// `graceMinutes` are left unbilled after a rider was turned away from a full station.
+// Late and lost-cycle fees are added after discounts and the daily cap.
+const calculateFare = (tariff, {
+  durationMinutes,
+  role,
+  chargedToday = 0,
+  includedMinutes = 0,
+  waiveUnlockFee = false,
+  promo = null,
+  graceMinutes = 0,
+  lostCycle = false
+}) => {
+  const rates = resolveRates(tariff, role);
+  const duration = Math.max(0, durationMinutes || 0);
+  const promoMinutes = promo && promo.discountType === 'free-minutes' ? promo.value : 0;
+  const billableMinutes = Math.max(
+    0,
+    duration - (rates.freeMinutes || 0) - includedMinutes - promoMinutes - graceMinutes
+  );
+
+  const unlockFee = waiveUnlockFee ? 0 : (rates.unlockFee || 0);
+  const timeCharge = roundMoney(calculateTimeCharge(rates, billableMinutes));
+  const subtotal = roundMoney(unlockFee + timeCharge);
+  const promoDiscount = roundMoney(calculatePromoDiscount(promo, subtotal));
+  const afterPromo = roundMoney(subtotal - promoDiscount);
+
+  let capDiscount = 0;
+  if (rates.dailyCap !== null && rates.dailyCap !== undefined) {
+    const remainingCap = Math.max(0, rates.dailyCap - chargedToday);
+    capDiscount = roundMoney(Math.max(0, afterPromo - remainingCap));
+  }
+
+  const lateFee = roundMoney(calculateLateFee(rates, duration));
+  const lostCycleFee = lostCycle ? roundMoney(rates.lostCycleFee || 0) : 0;
+
+  return {
+    tariffId: tariff ? tariff._id : null,
+    currency: rates.currency,
+    rateType: rates.rateType,
+    billableMinutes,
+    includedMinutes,
+    unlockFee,
+    timeCharge,
+    subtotal,
+    promoMinutes,
+    promoDiscount,
+    graceMinutes,
+    capDiscount,
+    lateFee,
+    lostCycleFee,
+    total: roundMoney(afterPromo - capDiscount + lateFee + lostCycleFee)
+  };
+};
+
+module.exports = {
+  DEFAULT_TARIFF,
+  resolveRates,
+  calculateLateFee,
+  calculateFare,
+  roundMoney
+};
@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// One-time secrets sent to users (password reset links and the like). Only
+// the hash is stored, so a leaked database cannot be used to redeem them.
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  randomToken,
+  hashToken
+};